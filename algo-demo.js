@@ -0,0 +1,515 @@
+/* ============================================================
+   ALGORITHM VISUALIZER: SORTING BARS AND GRAPH SEARCH IN SVG
+   ============================================================ */
+
+// 1. ALGORITHM TRACES
+// quick / merge / heap sort and BFS / DFS / Dijkstra are recorded step by step in the
+// DOM-free algo-engine.js; this file only draws the steps, the same way trie-demo.js
+// draws trie traces (accent fill + pulse on the active element, base blue for finished ones)
+
+import {
+    SORT_PSEUDOCODE, SORT_TRACES,
+    GRAPH_PSEUDOCODE, GRAPH_TRACES, parseGraph, formatGraph
+} from './algo-engine.js';
+import { track } from './analytics.js';
+import { getAccentColor, svgElement, createPlayback } from './demo-ui.js';
+
+// 2. COLORS
+// SVG helpers, --accent lookup and the Back / Play / Step controls come from demo-ui.js,
+// shared with the trie demo
+
+const BASE_COLOR = '#4da6ff'; // finished nodes / bars, same blue as the trie diagram
+const IDLE_COLOR = '#11141a'; // untouched nodes, same as non-word trie nodes
+
+// 3. SORTING: BARS, CUSTOM INPUT AND PLAYBACK
+
+const SORT_VIEW = { width: 640, height: 320, padding: 16, labelSpace: 22 };
+const MAX_SORT_ITEMS = 40;
+const SORT_VALUE_LIMIT = 999;
+const SORT_STEP_MS = 250; // sorts take many more steps than a trie walk
+
+const sortSvg = document.getElementById('sort-svg');
+const sortInput = document.getElementById('sort-input');
+const sortRandomBtn = document.getElementById('sort-random');
+const sortAlgorithmSelect = document.getElementById('sort-algorithm');
+const sortRunBtn = document.getElementById('sort-run');
+
+let sortArray = [];
+
+function randomArray(length = 16) {
+    return Array.from({ length }, () => 1 + Math.floor(Math.random() * 99));
+}
+
+// "5, 3 8" -> [5, 3, 8]; throws with a message for the status line
+function parseArray(text) {
+    const parts = text.split(/[\s,;]+/).filter(Boolean);
+    if (parts.length === 0) throw new RangeError('enter at least one number');
+    if (parts.length > MAX_SORT_ITEMS) throw new RangeError(`use at most ${MAX_SORT_ITEMS} numbers`);
+    return parts.map(part => {
+        const value = Number(part);
+        if (!Number.isInteger(value) || Math.abs(value) > SORT_VALUE_LIMIT) {
+            throw new RangeError(`"${part}" is not a whole number between −${SORT_VALUE_LIMIT} and ${SORT_VALUE_LIMIT}`);
+        }
+        return value;
+    });
+}
+
+// bars for an array; `step` (optional) marks the indices it touches and the finished ones
+function drawSortSVG(values, step = null) {
+    if (!sortSvg) return;
+    sortSvg.innerHTML = '';
+    if (values.length === 0) return;
+
+    const { width, height, padding, labelSpace } = SORT_VIEW;
+    const min = Math.min(0, ...values);
+    const max = Math.max(1, ...values);
+    const baseline = padding + (height - 2 * padding - labelSpace) * (max / (max - min));
+    const scale = (height - 2 * padding - labelSpace) / (max - min);
+    const slot = (width - 2 * padding) / values.length;
+    const barWidth = Math.max(2, slot * 0.8);
+
+    const active = new Set(step ? step.indices : []);
+    const sorted = new Set(step ? step.sorted : []);
+    const accent = getAccentColor();
+
+    svgElement('line', { x1: padding, x2: width - padding, y1: baseline, y2: baseline, class: 'algo-baseline' }, sortSvg);
+
+    values.forEach((value, i) => {
+        const x = padding + i * slot + (slot - barWidth) / 2;
+        const barHeight = Math.max(1, Math.abs(value) * scale);
+        const bar = svgElement('rect', {
+            x, width: barWidth,
+            y: value >= 0 ? baseline - barHeight : baseline,
+            height: barHeight,
+            rx: Math.min(4, barWidth / 4),
+            class: 'algo-bar'
+        }, sortSvg);
+        if (active.has(i)) {
+            bar.setAttribute('fill', accent);
+            bar.classList.add('active-highlight', `bar-${step.action}`);
+        } else if (sorted.has(i)) {
+            bar.setAttribute('fill', BASE_COLOR);
+        } else {
+            bar.classList.add('bar-idle'); // --muted from the stylesheet follows the theme
+        }
+        svgElement('title', {}, bar).textContent = `a[${i}] = ${value}`;
+
+        if (values.length <= 24) { // labels stop fitting beyond that
+            const label = svgElement('text', {
+                x: x + barWidth / 2,
+                y: height - padding / 2,
+                class: 'algo-bar-label'
+            }, sortSvg);
+            label.textContent = value;
+        }
+    });
+}
+
+const sortPlayback = createPlayback('sort', { render: step => drawSortSVG(step.array, step), stepMs: SORT_STEP_MS });
+
+function setSortArray(values) {
+    sortArray = values;
+    if (sortInput) sortInput.value = values.join(', ');
+    sortPlayback.stop('Press Sort to record the steps.');
+    drawSortSVG(sortArray);
+}
+
+function readSortInput() { // false when the box has an error (shown in the status line)
+    try {
+        sortArray = parseArray(sortInput ? sortInput.value : '');
+        return true;
+    } catch (err) {
+        sortPlayback.stop(`Could not read the array: ${err.message}.`);
+        return false;
+    }
+}
+
+function runSort() {
+    if (!readSortInput()) return;
+    const algorithm = sortAlgorithmSelect ? sortAlgorithmSelect.value : 'quick';
+    sortPlayback.load(SORT_TRACES[algorithm](sortArray), SORT_PSEUDOCODE[algorithm]);
+    track('algo_sort', {
+        event_category: 'algo_demo',
+        event_label: algorithm
+    });
+}
+
+if (sortRunBtn) sortRunBtn.addEventListener('click', runSort);
+if (sortRandomBtn) sortRandomBtn.addEventListener('click', () => setSortArray(randomArray()));
+if (sortInput) {
+    sortInput.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        runSort();
+    });
+    // Enter already ran the trace; committing the same numbers (Enter, or blur when a playback
+    // button is clicked) must not stop it, only a different array or no trace redraws
+    sortInput.addEventListener('change', () => {
+        let values;
+        try {
+            values = parseArray(sortInput.value);
+        } catch (err) {
+            sortPlayback.stop(`Could not read the array: ${err.message}.`);
+            return;
+        }
+        const unchanged = values.length === sortArray.length && values.every((v, i) => v === sortArray[i]);
+        if (sortPlayback.current() && unchanged) return;
+        setSortArray(values);
+    });
+}
+if (sortAlgorithmSelect) {
+    sortAlgorithmSelect.addEventListener('change', () => {
+        sortPlayback.stop('Press Sort to record the steps.');
+        sortPlayback.renderCode(SORT_PSEUDOCODE[sortAlgorithmSelect.value]);
+        drawSortSVG(sortArray);
+    });
+}
+
+// 4. GRAPH: DRAWING, HIGHLIGHTING AND EDITING
+
+const GRAPH_VIEW = { width: 640, height: 400 };
+const GRAPH_NODE_RADIUS = 18;
+const SAMPLE_GRAPH = [
+    'A B 4', 'A C 2', 'B C 1', 'B D 5', 'C D 8',
+    'C E 10', 'D E 2', 'D F 6', 'E F 3', 'F G 1'
+].join('\n');
+
+const graphSvg = document.getElementById('graph-svg');
+const graphToolSelect = document.getElementById('graph-tool');
+const graphWeightInput = document.getElementById('graph-weight');
+const graphDirectedInput = document.getElementById('graph-directed');
+const graphAlgorithmSelect = document.getElementById('graph-algorithm');
+const graphStartSelect = document.getElementById('graph-start');
+const graphRunBtn = document.getElementById('graph-run');
+const graphText = document.getElementById('graph-text');
+const graphApplyBtn = document.getElementById('graph-apply');
+const graphResetBtn = document.getElementById('graph-reset');
+const graphEditStatus = document.getElementById('graph-edit-status');
+
+let graph = { nodes: [], edges: [] };
+const graphPositions = new Map(); // node name -> { x, y } in viewBox units
+let pendingEdgeFrom = null; // first node clicked with the edge tool
+let dragging = null; // { node, pointerId, moved }
+
+function setGraphEditStatus(message) {
+    if (graphEditStatus) graphEditStatus.textContent = message;
+}
+
+// nodes without a position go on a circle (a fresh graph gets the whole circle)
+function placeNewNodes() {
+    const missing = graph.nodes.filter(node => !graphPositions.has(node));
+    if (missing.length === 0) return;
+    const { width, height } = GRAPH_VIEW;
+    const fresh = missing.length === graph.nodes.length;
+    const ring = fresh ? graph.nodes : missing;
+    const radius = Math.min(width, height) / 2 - GRAPH_NODE_RADIUS * 2;
+    ring.forEach((node, i) => {
+        const angle = -Math.PI / 2 + (2 * Math.PI * i) / ring.length;
+        const r = fresh ? radius : radius * 0.5; // extra nodes land inside the ring
+        graphPositions.set(node, { x: width / 2 + r * Math.cos(angle), y: height / 2 + r * Math.sin(angle) });
+    });
+}
+
+function edgeKey(from, to) {
+    return `${from}\u0000${to}`;
+}
+
+// the graph as it is on screen; `step` (optional) is the playback step to highlight
+function drawGraphSVG(step = null) {
+    if (!graphSvg) return;
+    graphSvg.innerHTML = '';
+    const accent = getAccentColor();
+
+    const defs = svgElement('defs', {}, graphSvg);
+    const marker = svgElement('marker', {
+        id: 'graph-arrow', viewBox: '0 0 10 10', refX: 10, refY: 5,
+        markerWidth: 7, markerHeight: 7, orient: 'auto-start-reverse'
+    }, defs);
+    svgElement('path', { d: 'M 0 0 L 10 5 L 0 10 z', class: 'graph-arrow-head' }, marker);
+
+    const treeEdges = new Set((step ? step.tree : []).flatMap(([a, b]) => [edgeKey(a, b), edgeKey(b, a)]));
+    const currentEdge = step && step.edge ? step.edge : null;
+    const visited = new Set(step ? step.visited : []);
+    const frontier = new Set(step ? step.frontier : []);
+
+    graph.edges.forEach((edge, index) => {
+        const a = graphPositions.get(edge.from);
+        const b = graphPositions.get(edge.to);
+        if (!a || !b) return;
+        // stop lines at the circle's edge so arrow heads stay visible
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const length = Math.hypot(dx, dy) || 1;
+        const ux = dx / length;
+        const uy = dy / length;
+        const line = svgElement('line', {
+            x1: a.x + ux * GRAPH_NODE_RADIUS, y1: a.y + uy * GRAPH_NODE_RADIUS,
+            x2: b.x - ux * GRAPH_NODE_RADIUS, y2: b.y - uy * GRAPH_NODE_RADIUS,
+            stroke: BASE_COLOR,
+            class: 'algo-edge'
+        }, graphSvg);
+        line.dataset.edge = String(index);
+        if (edge.directed) line.setAttribute('marker-end', 'url(#graph-arrow)');
+
+        const isCurrent = currentEdge && (
+            (currentEdge[0] === edge.from && currentEdge[1] === edge.to) ||
+            (!edge.directed && currentEdge[0] === edge.to && currentEdge[1] === edge.from));
+        if (isCurrent) {
+            line.setAttribute('stroke', accent);
+            line.classList.add('pulse-highlight', 'current-edge');
+        } else if (treeEdges.has(edgeKey(edge.from, edge.to))) {
+            line.setAttribute('stroke', accent);
+            line.classList.add('active-highlight');
+        }
+
+        const weight = svgElement('text', {
+            x: (a.x + b.x) / 2 - uy * 10,
+            y: (a.y + b.y) / 2 + ux * 10,
+            class: 'algo-edge-weight'
+        }, graphSvg);
+        weight.textContent = edge.weight;
+        weight.dataset.edge = String(index);
+    });
+
+    graph.nodes.forEach(node => {
+        const pos = graphPositions.get(node);
+        if (!pos) return;
+        const circle = svgElement('circle', {
+            cx: pos.x, cy: pos.y, r: GRAPH_NODE_RADIUS,
+            stroke: BASE_COLOR, 'stroke-width': 2,
+            class: 'algo-node'
+        }, graphSvg);
+        circle.dataset.node = node;
+        circle.setAttribute('fill', visited.has(node) ? BASE_COLOR : IDLE_COLOR);
+        if (frontier.has(node)) circle.classList.add('frontier');
+        if (node === pendingEdgeFrom) circle.classList.add('edge-source');
+        if (step && step.node === node) {
+            circle.setAttribute('fill', accent);
+            circle.classList.add('pulse-highlight', 'playback-current');
+        }
+        svgElement('title', {}, circle).textContent = node;
+
+        const label = svgElement('text', { x: pos.x, y: pos.y + 4, class: 'algo-node-label' }, graphSvg);
+        label.textContent = node;
+        label.dataset.node = node;
+
+        if (step && step.dist) { // Dijkstra: tentative distance under the node
+            const dist = svgElement('text', { x: pos.x, y: pos.y + GRAPH_NODE_RADIUS + 14, class: 'algo-node-dist' }, graphSvg);
+            dist.textContent = step.dist[node] === Infinity ? '∞' : step.dist[node];
+        }
+    });
+}
+
+const graphPlayback = createPlayback('graph', { render: step => drawGraphSVG(step) });
+
+function refreshStartOptions() {
+    if (!graphStartSelect) return;
+    const selected = graphStartSelect.value;
+    graphStartSelect.innerHTML = '';
+    graph.nodes.forEach(node => {
+        const option = document.createElement('option');
+        option.value = node;
+        option.textContent = `Start at ${node}`;
+        graphStartSelect.appendChild(option);
+    });
+    if (graph.nodes.includes(selected)) graphStartSelect.value = selected;
+}
+
+// any edit: new text, fresh start options, old trace dropped (it walked the old graph)
+function graphChanged(message = '') {
+    pendingEdgeFrom = null;
+    Array.from(graphPositions.keys()).forEach(node => {
+        if (!graph.nodes.includes(node)) graphPositions.delete(node);
+    });
+    placeNewNodes();
+    if (graphText) graphText.value = formatGraph(graph);
+    refreshStartOptions();
+    graphPlayback.stop('Pick an algorithm and a start node, then press Run.');
+    drawGraphSVG();
+    setGraphEditStatus(message || `${graph.nodes.length} nodes, ${graph.edges.length} edges.`);
+}
+
+function applyGraphText(text) {
+    try {
+        graph = parseGraph(text);
+    } catch (err) {
+        setGraphEditStatus(`Could not read the edge list: ${err.message}.`);
+        return false;
+    }
+    graphChanged();
+    return true;
+}
+
+function nextNodeName() { // A..Z, then N1, N2...
+    for (let code = 65; code <= 90; code++) {
+        const name = String.fromCharCode(code);
+        if (!graph.nodes.includes(name)) return name;
+    }
+    let i = 1;
+    while (graph.nodes.includes(`N${i}`)) i++;
+    return `N${i}`;
+}
+
+function readEdgeWeight() {
+    const weight = graphWeightInput ? Number(graphWeightInput.value) : 1;
+    return Number.isFinite(weight) ? weight : 1;
+}
+
+function toggleEdge(from, to) {
+    const index = graph.edges.findIndex(edge =>
+        (edge.from === from && edge.to === to) || (!edge.directed && edge.from === to && edge.to === from));
+    if (index >= 0) {
+        graph.edges.splice(index, 1);
+        graphChanged(`Removed the edge ${from}–${to}.`);
+        return;
+    }
+    const directed = !!(graphDirectedInput && graphDirectedInput.checked);
+    graph.edges.push({ from, to, weight: readEdgeWeight(), directed });
+    graphChanged(`Added the edge ${from} ${directed ? '→' : '–'} ${to}.`);
+}
+
+function deleteNode(node) {
+    graph.nodes = graph.nodes.filter(n => n !== node);
+    graph.edges = graph.edges.filter(edge => edge.from !== node && edge.to !== node);
+    graphChanged(`Deleted ${node} and its edges.`);
+}
+
+// pointer position in viewBox units
+function graphPoint(e) {
+    const rect = graphSvg.getBoundingClientRect();
+    if (!rect.width || !rect.height) return { x: GRAPH_VIEW.width / 2, y: GRAPH_VIEW.height / 2 };
+    // preserveAspectRatio meet: the view is scaled uniformly and centred
+    const scale = Math.min(rect.width / GRAPH_VIEW.width, rect.height / GRAPH_VIEW.height);
+    return {
+        x: (e.clientX - rect.left - (rect.width - GRAPH_VIEW.width * scale) / 2) / scale,
+        y: (e.clientY - rect.top - (rect.height - GRAPH_VIEW.height * scale) / 2) / scale
+    };
+}
+
+function clampToView({ x, y }) {
+    const r = GRAPH_NODE_RADIUS;
+    return {
+        x: Math.max(r, Math.min(GRAPH_VIEW.width - r, x)),
+        y: Math.max(r, Math.min(GRAPH_VIEW.height - r, y))
+    };
+}
+
+if (graphSvg) {
+    graphSvg.addEventListener('pointerdown', (e) => {
+        const tool = graphToolSelect ? graphToolSelect.value : 'move';
+        const node = e.target.dataset ? e.target.dataset.node : undefined;
+        if (tool !== 'move' || node == null) return;
+        dragging = { node, pointerId: e.pointerId, moved: false };
+        if (graphSvg.setPointerCapture) graphSvg.setPointerCapture(e.pointerId);
+        graphSvg.classList.add('panning');
+    });
+
+    graphSvg.addEventListener('pointermove', (e) => {
+        if (!dragging || e.pointerId !== dragging.pointerId) return;
+        graphPositions.set(dragging.node, clampToView(graphPoint(e)));
+        dragging.moved = true;
+        drawGraphSVG(graphPlayback.current()); // keep the current step on screen while dragging
+    });
+
+    const endDrag = () => {
+        dragging = null;
+        graphSvg.classList.remove('panning');
+    };
+    graphSvg.addEventListener('pointerup', endDrag);
+    graphSvg.addEventListener('pointercancel', endDrag);
+
+    graphSvg.addEventListener('click', (e) => {
+        const tool = graphToolSelect ? graphToolSelect.value : 'move';
+        const node = e.target.dataset ? e.target.dataset.node : undefined;
+        const edge = e.target.dataset ? e.target.dataset.edge : undefined;
+
+        if (tool === 'node' && node == null && edge == null) {
+            const name = nextNodeName();
+            graph.nodes.push(name);
+            graphPositions.set(name, clampToView(graphPoint(e)));
+            graphChanged(`Added node ${name}. Switch to the edge tool to connect it.`);
+        } else if (tool === 'edge' && node != null) {
+            if (pendingEdgeFrom == null) {
+                pendingEdgeFrom = node;
+                drawGraphSVG();
+                setGraphEditStatus(`Edge from ${node}: now click the other end.`);
+            } else if (pendingEdgeFrom === node) {
+                pendingEdgeFrom = null;
+                drawGraphSVG();
+                setGraphEditStatus('Edge cancelled.');
+            } else {
+                toggleEdge(pendingEdgeFrom, node);
+            }
+        } else if (tool === 'delete' && node != null) {
+            deleteNode(node);
+        } else if (tool === 'delete' && edge != null) {
+            const removed = graph.edges.splice(Number(edge), 1)[0];
+            if (removed) graphChanged(`Removed the edge ${removed.from}–${removed.to}.`);
+        }
+    });
+}
+
+if (graphToolSelect) {
+    graphToolSelect.addEventListener('change', () => {
+        pendingEdgeFrom = null;
+        if (graphSvg) graphSvg.dataset.tool = graphToolSelect.value; // cursor per tool (style.css)
+        drawGraphSVG(graphPlayback.current());
+    });
+}
+
+function runGraph() {
+    const algorithm = graphAlgorithmSelect ? graphAlgorithmSelect.value : 'bfs';
+    const start = graphStartSelect ? graphStartSelect.value : graph.nodes[0];
+    if (!start) {
+        graphPlayback.stop('Add at least one node first.');
+        return;
+    }
+    let trace;
+    try {
+        trace = GRAPH_TRACES[algorithm](graph, start);
+    } catch (err) {
+        graphPlayback.stop(`Cannot run: ${err.message}.`);
+        return;
+    }
+    graphPlayback.load(trace, GRAPH_PSEUDOCODE[algorithm]);
+    track('algo_graph', {
+        event_category: 'algo_demo',
+        event_label: algorithm
+    });
+}
+
+if (graphRunBtn) graphRunBtn.addEventListener('click', runGraph);
+if (graphApplyBtn) graphApplyBtn.addEventListener('click', () => applyGraphText(graphText ? graphText.value : ''));
+if (graphResetBtn) {
+    graphResetBtn.addEventListener('click', () => {
+        graphPositions.clear();
+        applyGraphText(SAMPLE_GRAPH);
+    });
+}
+if (graphAlgorithmSelect) {
+    graphAlgorithmSelect.addEventListener('change', () => {
+        graphPlayback.stop('Pick an algorithm and a start node, then press Run.');
+        graphPlayback.renderCode(GRAPH_PSEUDOCODE[graphAlgorithmSelect.value]);
+        drawGraphSVG();
+    });
+}
+
+// 5. FIRST DRAW AND THEME CHANGES
+
+setSortArray(randomArray());
+sortPlayback.renderCode(SORT_PSEUDOCODE[sortAlgorithmSelect ? sortAlgorithmSelect.value : 'quick']);
+applyGraphText(SAMPLE_GRAPH);
+graphPlayback.renderCode(GRAPH_PSEUDOCODE[graphAlgorithmSelect ? graphAlgorithmSelect.value : 'bfs']);
+
+// palette or accent changed (theme.js): repaint with the new --accent
+document.addEventListener('themechange', () => {
+    const sortStep = sortPlayback.current();
+    drawSortSVG(sortStep ? sortStep.array : sortArray, sortStep);
+    drawGraphSVG(graphPlayback.current());
+});
+
+// End of algo-demo.js
+
+/* ============================================================
+   END OF ALGORITHM VISUALIZER
+   ============================================================ */
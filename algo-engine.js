@@ -0,0 +1,460 @@
+/* ============================================================
+   ALGORITHM ENGINE (DOM-FREE TRACES FOR THE VISUALIZER)
+   ES module used by algo-demo.js
+   ============================================================ */
+
+// Sorting (quick, merge, heap) and graph searches (BFS, DFS, Dijkstra) that record every step,
+// in the same spirit as traceInsert / traceAutocomplete in trie-engine.js:
+//
+//   import { traceQuickSort, parseGraph, traceDijkstra } from './algo-engine.js';
+//   traceQuickSort([5, 2, 9]).steps;          // [{ line, action, indices, array, sorted, note, counters }, ...]
+//   traceDijkstra(parseGraph('A B 4\nB C 1'), 'A').result; // { order, dist, prev }
+//
+// `line` indexes the matching *_PSEUDOCODE entry, `counters` are running totals at that step.
+
+// 1. SORTING TRACES
+
+const SORT_PSEUDOCODE = {
+    quick: [
+        'quickSort(a, lo, hi):',
+        '    if lo >= hi: return',
+        '    pivot ← a[hi], i ← lo',
+        '    for j from lo to hi − 1:',
+        '        if a[j] < pivot: swap a[i], a[j]; i ← i + 1',
+        '    swap a[i], a[hi]   (pivot in its final place)',
+        '    quickSort(a, lo, i − 1); quickSort(a, i + 1, hi)'
+    ],
+    merge: [
+        'mergeSort(a, lo, hi):',
+        '    if lo >= hi: return',
+        '    mid ← ⌊(lo + hi) / 2⌋',
+        '    mergeSort(a, lo, mid); mergeSort(a, mid + 1, hi)',
+        '    merge: compare the heads of both halves',
+        '        write the smaller head back into a',
+        '    copy what is left of either half'
+    ],
+    heap: [
+        'heapSort(a):',
+        '    for i from n/2 − 1 down to 0: siftDown(i, n)   (max-heap)',
+        '    for end from n − 1 down to 1:',
+        '        swap a[0], a[end]   (largest to the back)',
+        '        siftDown(0, end)',
+        'siftDown(i, size): c ← larger child of i',
+        '    if a[c] > a[i]: swap a[i], a[c]; i ← c, else stop'
+    ]
+};
+
+const SORT_STEP_LIMIT = 20000; // plenty for the visualizer's arrays, stops runaway traces
+
+// shared recorder: snapshots the array and the running counters with every step
+function createSortRecorder(array) {
+    const a = array.slice();
+    const sorted = new Set();
+    const counters = { comparisons: 0, swaps: 0, writes: 0 };
+    const steps = [];
+    const record = (line, action, indices, note) => {
+        if (steps.length >= SORT_STEP_LIMIT) return;
+        steps.push({ line, action, indices, array: a.slice(), sorted: Array.from(sorted), note, counters: { ...counters } });
+    };
+    const compare = (i, j, line, note) => {
+        counters.comparisons++;
+        record(line, 'compare', [i, j], note);
+        return a[i] - a[j];
+    };
+    const swap = (i, j, line, note) => {
+        if (i !== j) {
+            [a[i], a[j]] = [a[j], a[i]];
+            counters.swaps++;
+        }
+        record(line, 'swap', [i, j], note);
+    };
+    return { a, sorted, counters, steps, record, compare, swap };
+}
+
+function finishSort(rec) {
+    rec.a.forEach((_, i) => rec.sorted.add(i));
+    rec.record(null, 'done', [], `Sorted with ${rec.counters.comparisons} comparisons.`);
+    return { steps: rec.steps, result: rec.a, counters: rec.counters };
+}
+
+/**
+ * Quicksort (Lomuto partition, last element as pivot).
+ * @param {number[]} array left untouched, the trace works on a copy
+ * @returns {{ steps: object[], result: number[], counters: object }}
+ */
+function traceQuickSort(array) {
+    const rec = createSortRecorder(array);
+    const { a } = rec;
+
+    const sort = (lo, hi) => {
+        if (lo >= hi) {
+            if (lo === hi) {
+                rec.sorted.add(lo);
+                rec.record(1, 'sorted', [lo], `a[${lo}] = ${a[lo]} is a single element: already in place.`);
+            }
+            return;
+        }
+        const pivot = a[hi];
+        rec.record(2, 'pivot', [hi], `Partition a[${lo}..${hi}] around the pivot ${pivot}.`);
+        let i = lo;
+        for (let j = lo; j < hi; j++) {
+            if (rec.compare(j, hi, 3, `Is ${a[j]} < pivot ${pivot}?`) < 0) {
+                rec.swap(i, j, 4, i === j ? `${a[j]} stays on the small side.` : `Swap ${a[j]} and ${a[i]}: ${a[j]} joins the small side.`);
+                i++;
+            }
+        }
+        rec.swap(i, hi, 5, `Pivot ${pivot} moves to index ${i}.`);
+        rec.sorted.add(i);
+        rec.record(5, 'sorted', [i], `${pivot} is in its final place.`);
+        sort(lo, i - 1);
+        sort(i + 1, hi);
+    };
+
+    sort(0, a.length - 1);
+    return finishSort(rec);
+}
+
+/**
+ * Top-down merge sort with an auxiliary copy of each half.
+ * @param {number[]} array left untouched
+ * @returns {{ steps: object[], result: number[], counters: object }}
+ */
+function traceMergeSort(array) {
+    const rec = createSortRecorder(array);
+    const { a } = rec;
+
+    const sort = (lo, hi) => {
+        if (lo >= hi) return;
+        const mid = Math.floor((lo + hi) / 2);
+        rec.record(2, 'split', [lo, hi], `Split a[${lo}..${hi}] at ${mid}.`);
+        sort(lo, mid);
+        sort(mid + 1, hi);
+
+        const left = a.slice(lo, mid + 1);
+        const right = a.slice(mid + 1, hi + 1);
+        let i = 0, j = 0, k = lo;
+        while (i < left.length && j < right.length) {
+            rec.counters.comparisons++;
+            rec.record(4, 'compare', [lo + i, mid + 1 + j], `Compare heads ${left[i]} and ${right[j]}.`);
+            a[k] = left[i] <= right[j] ? left[i++] : right[j++]; // <= keeps the sort stable
+            rec.counters.writes++;
+            rec.record(5, 'write', [k], `Write ${a[k]} to index ${k}.`);
+            k++;
+        }
+        while (i < left.length || j < right.length) {
+            a[k] = i < left.length ? left[i++] : right[j++];
+            rec.counters.writes++;
+            rec.record(6, 'write', [k], `Copy the leftover ${a[k]} to index ${k}.`);
+            k++;
+        }
+        if (lo === 0 && hi === a.length - 1) a.forEach((_, index) => rec.sorted.add(index));
+    };
+
+    sort(0, a.length - 1);
+    return finishSort(rec);
+}
+
+/**
+ * Heapsort: build a max-heap in place, then move the root to the back n − 1 times.
+ * @param {number[]} array left untouched
+ * @returns {{ steps: object[], result: number[], counters: object }}
+ */
+function traceHeapSort(array) {
+    const rec = createSortRecorder(array);
+    const { a } = rec;
+    const n = a.length;
+
+    const siftDown = (i, size) => {
+        for (;;) {
+            const l = 2 * i + 1;
+            const r = l + 1;
+            if (l >= size) return;
+            let c = l;
+            if (r < size && rec.compare(r, l, 5, `Children of index ${i}: ${a[l]} and ${a[r]}.`) > 0) c = r;
+            if (rec.compare(c, i, 6, `Is child ${a[c]} larger than parent ${a[i]}?`) <= 0) return;
+            rec.swap(i, c, 6, `Swap ${a[c]} up, ${a[i]} sinks to index ${c}.`);
+            i = c;
+        }
+    };
+
+    for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {
+        rec.record(1, 'heapify', [i], `Sift down from index ${i} to build the max-heap.`);
+        siftDown(i, n);
+    }
+    for (let end = n - 1; end > 0; end--) {
+        rec.swap(0, end, 3, `Move the largest, ${a[0]}, to index ${end}.`);
+        rec.sorted.add(end);
+        rec.record(4, 'sorted', [end], `${a[end]} is in its final place, restore the heap in a[0..${end - 1}].`);
+        siftDown(0, end);
+    }
+    return finishSort(rec);
+}
+
+const SORT_TRACES = { quick: traceQuickSort, merge: traceMergeSort, heap: traceHeapSort };
+
+// 2. GRAPHS: PARSING AND NEIGHBOURS
+
+const GRAPH_NODE = /^[\w.]+$/; // no "-": A-B is an edge
+
+/**
+ * Read an edge list, one edge per line: "A B 4", "A-B 4", "A,B,4" or "A -> B 4" (directed).
+ * A line with a single name adds a node without edges, # starts a comment.
+ * @param {string} text
+ * @returns {{ nodes: string[], edges: { from: string, to: string, weight: number, directed: boolean }[] }}
+ * @throws {TypeError} naming the line that could not be read
+ */
+function parseGraph(text) {
+    const nodes = [];
+    const edges = [];
+    const addNode = name => {
+        if (!nodes.includes(name)) nodes.push(name);
+    };
+
+    String(text).split(/\r?\n/).forEach((raw, index) => {
+        const line = raw.replace(/#.*/, '').trim();
+        if (!line) return;
+        const directed = line.includes('->');
+        const parts = line.replace('->', ' ').split(/[\s,]+|(?<=\w)-(?=\w)/).filter(Boolean);
+        const [from, to, weightText] = parts;
+        if (parts.length > 3 || ![from, to].every(name => name == null || GRAPH_NODE.test(name))) {
+            throw new TypeError(`line ${index + 1}: expected "from to [weight]", got "${line}"`);
+        }
+        addNode(from);
+        if (to == null) return;
+        const weight = weightText == null ? 1 : Number(weightText);
+        if (!Number.isFinite(weight)) throw new TypeError(`line ${index + 1}: weight "${weightText}" is not a number`);
+        addNode(to);
+        edges.push({ from, to, weight, directed });
+    });
+    return { nodes, edges };
+}
+
+function formatGraph(graph) { // inverse of parseGraph (isolated nodes on their own line)
+    const linked = new Set();
+    const lines = graph.edges.map(({ from, to, weight, directed }) => {
+        linked.add(from);
+        linked.add(to);
+        return `${from} ${directed ? '-> ' : ''}${to} ${weight}`;
+    });
+    graph.nodes.forEach(node => {
+        if (!linked.has(node)) lines.push(node);
+    });
+    return lines.join('\n');
+}
+
+const compareNames = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+// neighbours in name order, so every run of a trace is the same
+function neighbours(graph, node) {
+    const out = [];
+    graph.edges.forEach(edge => {
+        if (edge.from === node) out.push({ node: edge.to, weight: edge.weight, edge });
+        else if (!edge.directed && edge.to === node) out.push({ node: edge.from, weight: edge.weight, edge });
+    });
+    return out.sort((a, b) => compareNames(a.node, b.node));
+}
+
+// 3. GRAPH TRACES
+
+const GRAPH_PSEUDOCODE = {
+    bfs: [
+        'queue ← [start], seen ← {start}',
+        'while queue is not empty:',
+        '    u ← queue.shift()   (visit u)',
+        '    for each neighbour v of u:',
+        '        if v not in seen: seen.add(v), queue.push(v)'
+    ],
+    dfs: [
+        'stack ← [start]',
+        'while stack is not empty:',
+        '    u ← stack.pop()',
+        '    if u visited: continue',
+        '    visit u',
+        '    for each neighbour v of u, last to first:',
+        '        if v not visited: stack.push(v)'
+    ],
+    dijkstra: [
+        'dist[start] ← 0, every other dist ← ∞, queue ← {start}',
+        'while queue is not empty:',
+        '    u ← node in queue with the smallest dist   (settle u)',
+        '    for each edge (u, v, w):',
+        '        if dist[u] + w < dist[v]:',
+        '            dist[v] ← dist[u] + w, prev[v] ← u, queue.add(v)',
+        'shortest path to x: follow prev from x back to start'
+    ]
+};
+
+const GRAPH_STEP_LIMIT = 5000;
+
+function createGraphRecorder() {
+    const visited = []; // visit order
+    const tree = []; // [from, to] edges that discovered a node (BFS / DFS tree, Dijkstra prev)
+    const counters = { visits: 0, edgeChecks: 0, relaxations: 0 };
+    const steps = [];
+    const record = (line, action, { node = null, edge = null, frontier = [], dist = null, note }) => {
+        if (steps.length >= GRAPH_STEP_LIMIT) return;
+        steps.push({
+            line, action, node, edge,
+            visited: visited.slice(),
+            tree: tree.slice(),
+            frontier: frontier.slice(),
+            dist: dist ? { ...dist } : null,
+            note,
+            counters: { ...counters }
+        });
+    };
+    return { visited, tree, counters, steps, record };
+}
+
+function checkStart(graph, start) {
+    if (!graph.nodes.includes(start)) throw new RangeError(`start node "${start}" is not in the graph`);
+}
+
+/**
+ * Breadth-first search from `start`.
+ * @returns {{ steps: object[], result: { order: string[] }, counters: object }}
+ */
+function traceBFS(graph, start) {
+    checkStart(graph, start);
+    const rec = createGraphRecorder();
+    const queue = [start];
+    const seen = new Set([start]);
+    rec.record(0, 'start', { node: start, frontier: queue, note: `Queue the start node ${start}.` });
+
+    while (queue.length) {
+        const u = queue.shift();
+        rec.visited.push(u);
+        rec.counters.visits++;
+        rec.record(2, 'visit', { node: u, frontier: queue, note: `Visit ${u} (first in the queue).` });
+        for (const { node: v } of neighbours(graph, u)) {
+            rec.counters.edgeChecks++;
+            if (seen.has(v)) {
+                rec.record(4, 'skip', { node: u, edge: [u, v], frontier: queue, note: `${v} was already seen.` });
+                continue;
+            }
+            seen.add(v);
+            queue.push(v);
+            rec.tree.push([u, v]);
+            rec.record(4, 'discover', { node: u, edge: [u, v], frontier: queue, note: `Discover ${v}, add it to the back of the queue.` });
+        }
+    }
+    rec.record(null, 'done', { note: `Visited ${rec.visited.length} of ${graph.nodes.length} nodes: ${rec.visited.join(' → ')}.` });
+    return { steps: rec.steps, result: { order: rec.visited.slice() }, counters: rec.counters };
+}
+
+/**
+ * Depth-first search from `start` (explicit stack, neighbours taken in name order).
+ * @returns {{ steps: object[], result: { order: string[] }, counters: object }}
+ */
+function traceDFS(graph, start) {
+    checkStart(graph, start);
+    const rec = createGraphRecorder();
+    const stack = [start];
+    const visited = new Set();
+    const parent = new Map();
+    rec.record(0, 'start', { node: start, frontier: stack, note: `Push the start node ${start}.` });
+
+    while (stack.length) {
+        const u = stack.pop();
+        if (visited.has(u)) {
+            rec.record(3, 'skip', { node: u, frontier: stack, note: `${u} is already visited, pop the next one.` });
+            continue;
+        }
+        visited.add(u);
+        rec.visited.push(u);
+        rec.counters.visits++;
+        if (parent.has(u)) rec.tree.push([parent.get(u), u]);
+        rec.record(4, 'visit', { node: u, edge: parent.has(u) ? [parent.get(u), u] : null, frontier: stack, note: `Visit ${u} (top of the stack).` });
+
+        const next = neighbours(graph, u).reverse(); // so the first name is popped first
+        for (const { node: v } of next) {
+            rec.counters.edgeChecks++;
+            if (visited.has(v)) continue;
+            stack.push(v);
+            parent.set(v, u); // the latest push wins, as in the recursive version
+            rec.record(6, 'push', { node: u, edge: [u, v], frontier: stack, note: `Push ${v}.` });
+        }
+    }
+    rec.record(null, 'done', { note: `Visited ${rec.visited.length} of ${graph.nodes.length} nodes: ${rec.visited.join(' → ')}.` });
+    return { steps: rec.steps, result: { order: rec.visited.slice() }, counters: rec.counters };
+}
+
+/**
+ * Dijkstra's shortest paths from `start` (a plain array as the priority queue: the graphs are small).
+ * @returns {{ steps: object[], result: { order: string[], dist: object, prev: object }, counters: object }}
+ * @throws {RangeError} for negative edge weights
+ */
+function traceDijkstra(graph, start) {
+    checkStart(graph, start);
+    const negative = graph.edges.find(edge => edge.weight < 0);
+    if (negative) throw new RangeError(`Dijkstra needs non-negative weights (${negative.from}–${negative.to} is ${negative.weight})`);
+
+    const rec = createGraphRecorder();
+    const dist = {};
+    const prev = {};
+    graph.nodes.forEach(node => { dist[node] = Infinity; });
+    dist[start] = 0;
+    const queue = [start];
+    const settled = new Set();
+    rec.record(0, 'start', { node: start, frontier: queue, dist, note: `dist[${start}] = 0, everything else is ∞.` });
+
+    while (queue.length) {
+        queue.sort((a, b) => dist[a] - dist[b] || compareNames(a, b));
+        const u = queue.shift();
+        if (settled.has(u)) continue;
+        settled.add(u);
+        rec.visited.push(u);
+        rec.counters.visits++;
+        if (prev[u] != null) rec.tree.push([prev[u], u]);
+        rec.record(2, 'visit', { node: u, frontier: queue, dist, note: `Settle ${u} at distance ${dist[u]}.` });
+
+        for (const { node: v, weight } of neighbours(graph, u)) {
+            if (settled.has(v)) continue;
+            rec.counters.edgeChecks++;
+            const candidate = dist[u] + weight;
+            if (candidate < dist[v]) {
+                const before = dist[v];
+                dist[v] = candidate;
+                prev[v] = u;
+                rec.counters.relaxations++;
+                if (!queue.includes(v)) queue.push(v);
+                rec.record(5, 'relax', { node: u, edge: [u, v], frontier: queue, dist, note: `${dist[u]} + ${weight} < ${before}: dist[${v}] ← ${candidate} via ${u}.` });
+            } else {
+                rec.record(4, 'skip', { node: u, edge: [u, v], frontier: queue, dist, note: `${dist[u]} + ${weight} is not shorter than ${dist[v]}, keep it.` });
+            }
+        }
+    }
+
+    const reached = rec.visited.length;
+    rec.record(6, 'done', { dist, note: `Shortest distances from ${start} to ${reached} node${reached === 1 ? '' : 's'}, follow the highlighted edges back to ${start}.` });
+    return { steps: rec.steps, result: { order: rec.visited.slice(), dist, prev }, counters: rec.counters };
+}
+
+const GRAPH_TRACES = { bfs: traceBFS, dfs: traceDFS, dijkstra: traceDijkstra };
+
+// 4. PUBLIC API
+
+export {
+    // sorting
+    SORT_PSEUDOCODE,
+    SORT_TRACES,
+    traceQuickSort,
+    traceMergeSort,
+    traceHeapSort,
+
+    // graphs
+    GRAPH_PSEUDOCODE,
+    GRAPH_TRACES,
+    parseGraph,
+    formatGraph,
+    neighbours,
+    traceBFS,
+    traceDFS,
+    traceDijkstra
+};
+
+// End of algo-engine.js
+
+/* ============================================================
+   END OF ALGORITHM ENGINE
+   ============================================================ */
@@ -0,0 +1,271 @@
+/* ============================================================
+   ANALYTICS: CONSENT, PROVIDERS, BATCHING AND OFFLINE QUEUE
+   ES module used by script.js (every page) and trie-demo.js
+   ============================================================ */
+
+// track() never throws: events wait for consent, high-frequency events can be debounced,
+// everything is sent in small batches and kept in localStorage while the browser is offline.
+//
+//   import { track } from './analytics.js';
+//   track('resume_click', { event_category: 'engagement' });
+//   track('trie_type', {}, { debounce: 1000 }); // one event per typing burst
+//
+// Provider interface: { name, remote, load?(), send(events) } where events are
+// { name, params, at } objects. `remote` providers talk to the network and need consent,
+// local ones (console, localStorage) are for testing and always run.
+// Pick one for testing with ?analytics=console or ?analytics=storage (remembered in localStorage).
+
+// 1. SETTINGS AND STORAGE
+
+const GA_MEASUREMENT_ID = 'G-9SDYHZWK13';
+const CONSENT_STORAGE_KEY = 'analytics-consent'; // 'granted' or 'denied'
+const QUEUE_STORAGE_KEY = 'analytics-queue'; // events waiting for the network
+const PROVIDER_STORAGE_KEY = 'analytics-provider'; // 'gtag' (default), 'console' or 'storage'
+const LOG_STORAGE_KEY = 'analytics-log'; // written by the storage provider
+
+const FLUSH_DELAY_MS = 2000; // events in this window go out as one batch
+const MAX_QUEUED_EVENTS = 200; // oldest events are dropped beyond this
+const MAX_LOGGED_EVENTS = 500;
+
+// same safety as getStoredTheme in script.js: storage may be blocked
+function readStorage(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch(e) {
+        return null;
+    }
+}
+
+function writeStorage(key, value) {
+    try {
+        if (value == null) localStorage.removeItem(key);
+        else localStorage.setItem(key, value);
+    } catch(e) {}
+}
+
+function readJSON(key, fallback) {
+    try {
+        const raw = readStorage(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch(e) {
+        return fallback;
+    }
+}
+
+// 2. PROVIDERS
+
+// Google Analytics: gtag.js is only requested once consent is granted
+function createGtagProvider(measurementId = GA_MEASUREMENT_ID) {
+    let loaded = false;
+    return {
+        name: 'gtag',
+        remote: true,
+        load() {
+            if (loaded) return;
+            loaded = true;
+            window.dataLayer = window.dataLayer || [];
+            window.gtag = window.gtag || function gtag() { window.dataLayer.push(arguments); };
+            window.gtag('js', new Date());
+            window.gtag('config', measurementId);
+
+            const script = document.createElement('script');
+            script.async = true;
+            script.src = `https://www.googletagmanager.com/gtag/js?id=${measurementId}`;
+            document.head.appendChild(script); // blocked by an extension: events stay in dataLayer
+        },
+        send(events) {
+            events.forEach(event => window.gtag('event', event.name, event.params));
+        }
+    };
+}
+
+function createConsoleProvider() {
+    return {
+        name: 'console',
+        remote: false,
+        send(events) {
+            events.forEach(event => console.info('[analytics]', event.name, event.params));
+        }
+    };
+}
+
+// keeps the last MAX_LOGGED_EVENTS in localStorage (inspect with localStorage['analytics-log'])
+function createStorageProvider(key = LOG_STORAGE_KEY) {
+    return {
+        name: 'storage',
+        remote: false,
+        send(events) {
+            const log = readJSON(key, []).concat(events).slice(-MAX_LOGGED_EVENTS);
+            writeStorage(key, JSON.stringify(log));
+        }
+    };
+}
+
+const PROVIDERS = {
+    gtag: createGtagProvider,
+    console: createConsoleProvider,
+    storage: createStorageProvider
+};
+
+function providerFromSettings() { // ?analytics=console sticks until ?analytics=gtag
+    let requested = null;
+    try {
+        requested = new URLSearchParams(window.location.search).get('analytics');
+    } catch(e) {}
+    if (requested && PROVIDERS[requested]) writeStorage(PROVIDER_STORAGE_KEY, requested);
+    const name = requested && PROVIDERS[requested] ? requested : readStorage(PROVIDER_STORAGE_KEY);
+    return (PROVIDERS[name] || createGtagProvider)();
+}
+
+// 3. QUEUE, BATCHING AND DEBOUNCING
+
+let provider = providerFromSettings();
+let queue = readJSON(QUEUE_STORAGE_KEY, []); // left over from an offline session
+let flushTimer = null;
+const debounceTimers = new Map(); // event name -> pending timer
+
+function getConsent() { // 'granted', 'denied' or null (not asked yet)
+    const stored = readStorage(CONSENT_STORAGE_KEY);
+    return stored === 'granted' || stored === 'denied' ? stored : null;
+}
+
+function canSend() {
+    if (!provider.remote) return true;
+    return getConsent() === 'granted' && navigator.onLine !== false;
+}
+
+function persistQueue() { // consented events still waiting for the network, so a reload picks them up
+    const keep = queue.length > 0 && (!provider.remote || getConsent() === 'granted');
+    writeStorage(QUEUE_STORAGE_KEY, keep ? JSON.stringify(queue) : null);
+}
+
+function flush() {
+    if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+    }
+    if (queue.length === 0 || !canSend()) {
+        persistQueue();
+        return;
+    }
+
+    const batch = queue;
+    queue = [];
+    try {
+        if (provider.load) provider.load();
+        provider.send(batch);
+    } catch (err) {
+        console.warn('analytics.js: provider failed, events kept for later', err);
+        queue = batch.concat(queue).slice(-MAX_QUEUED_EVENTS);
+    }
+    persistQueue();
+}
+
+function scheduleFlush() {
+    if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+}
+
+function enqueue(name, params) {
+    if (provider.remote && getConsent() === 'denied') return; // declined: nothing is kept
+    queue.push({ name, params, at: Date.now() });
+    if (queue.length > MAX_QUEUED_EVENTS) queue = queue.slice(-MAX_QUEUED_EVENTS);
+    if (!canSend()) persistQueue(); // offline: survive a reload
+    scheduleFlush();
+}
+
+/**
+ * Record an event. Safe to call anywhere: nothing throws when providers or storage are blocked.
+ * @param {string} name event name, e.g. 'trie_suggestion_click'
+ * @param {object} [params] event parameters (gtag's event_category, event_label, ...)
+ * @param {{ debounce?: number }} [options] debounce: only the last call in this many ms is kept
+ */
+function track(name, params = {}, options = {}) {
+    try {
+        if (options.debounce > 0) {
+            clearTimeout(debounceTimers.get(name));
+            debounceTimers.set(name, setTimeout(() => {
+                debounceTimers.delete(name);
+                enqueue(name, params);
+            }, options.debounce));
+            return;
+        }
+        enqueue(name, params);
+    } catch (err) {
+        console.warn('analytics.js: could not track', name, err);
+    }
+}
+
+function setProvider(next) { // swap providers at runtime (tests, other analytics backends)
+    provider = next;
+    scheduleFlush();
+}
+
+// 4. CONSENT BANNER
+
+function setConsent(granted) {
+    writeStorage(CONSENT_STORAGE_KEY, granted ? 'granted' : 'denied');
+    if (!granted && provider.remote) {
+        queue = []; // events recorded while undecided are never sent
+        persistQueue();
+    }
+    const banner = document.getElementById('consent-banner');
+    if (banner) banner.remove();
+    flush();
+}
+
+function showConsentBanner() {
+    if (document.getElementById('consent-banner')) return;
+
+    const banner = document.createElement('div');
+    banner.id = 'consent-banner';
+    banner.className = 'consent-banner';
+    banner.setAttribute('role', 'region');
+    banner.setAttribute('aria-label', 'Analytics consent');
+
+    const text = document.createElement('p');
+    text.textContent = 'This site can use Google Analytics to count visits and demo usage. Nothing is sent unless you allow it.';
+
+    const accept = document.createElement('button');
+    accept.type = 'button';
+    accept.className = 'btn';
+    accept.textContent = 'Allow analytics';
+    accept.addEventListener('click', () => setConsent(true));
+
+    const decline = document.createElement('button');
+    decline.type = 'button';
+    decline.className = 'btn secondary';
+    decline.textContent = 'Decline';
+    decline.addEventListener('click', () => setConsent(false));
+
+    banner.append(text, accept, decline);
+    document.body.appendChild(banner);
+}
+
+// 5. STARTUP
+
+if (provider.remote && getConsent() === null) {
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', showConsentBanner);
+    else showConsentBanner();
+}
+
+window.addEventListener('online', flush);
+document.addEventListener('visibilitychange', () => { // last chance before the tab goes away
+    if (document.visibilityState === 'hidden') flush();
+});
+if (queue.length) scheduleFlush();
+
+export {
+    track,
+    flush,
+    getConsent,
+    setConsent,
+    showConsentBanner,
+    setProvider,
+    createGtagProvider,
+    createConsoleProvider,
+    createStorageProvider
+};
+
+/* ============================================================
+   END OF ANALYTICS
+   ============================================================ */
@@ -0,0 +1,192 @@
+/* ============================================================
+   SHARED DEMO UI: SVG HELPERS, ACCENT COLOR AND TRACE PLAYBACK
+   Imported by trie-demo.js and algo-demo.js
+   ============================================================ */
+
+// 1. SVG HELPERS AND ACCENT COLOR
+
+const svgNS = "http://www.w3.org/2000/svg";
+
+// theme.js writes --accent on <html>; read it at draw time so palette changes show up
+function getAccentColor() {
+    const raw = getComputedStyle(document.documentElement).getPropertyValue('--accent') || '#ff6b6b';
+    return String(raw).trim() || '#ff6b6b';
+}
+
+function svgElement(tag, attributes = {}, parent = null) {
+    const el = document.createElementNS(svgNS, tag);
+    Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+    if (parent) parent.appendChild(el);
+    return el;
+}
+
+// 2. STEP-BY-STEP PLAYBACK CONTROLS
+// Back / Play / Step / speed for one panel, looked up as `${prefix}-back`, `${prefix}-play`, ...
+// A trace is { steps: [{ line, note, counters? }] }; `render(step, index, steps)` draws one
+// step, `onStop()` clears whatever the page drew for the trace
+
+const PLAYBACK_STEP_MS = 700; // delay between steps at 1× speed
+
+function createPlayback(prefix, { render, onStop = null, stepMs = PLAYBACK_STEP_MS } = {}) {
+    const backBtn = document.getElementById(`${prefix}-back`);
+    const playBtn = document.getElementById(`${prefix}-play`);
+    const forwardBtn = document.getElementById(`${prefix}-forward`);
+    const speedInput = document.getElementById(`${prefix}-speed`);
+    const speedValue = document.getElementById(`${prefix}-speed-value`);
+    const code = document.getElementById(`${prefix}-code`);
+    const status = document.getElementById(`${prefix}-status`);
+    const counters = document.getElementById(`${prefix}-counters`);
+
+    let state = null; // { steps, index, timer }
+
+    const setStatus = (message) => {
+        if (status) status.textContent = message;
+    };
+
+    const getSpeed = () => {
+        const speed = speedInput ? parseFloat(speedInput.value) : 1;
+        return Number.isFinite(speed) && speed > 0 ? speed : 1;
+    };
+
+    function renderCode(lines) {
+        if (!code) return;
+        code.innerHTML = '';
+        (lines || []).forEach(line => {
+            const li = document.createElement('li');
+            li.textContent = line;
+            code.appendChild(li);
+        });
+    }
+
+    function renderCounters(values) {
+        if (!counters) return;
+        counters.innerHTML = '';
+        Object.entries(values).forEach(([name, value]) => {
+            const li = document.createElement('li');
+            const label = name.replace(/[A-Z]/g, c => ` ${c.toLowerCase()}`); // edgeChecks -> edge checks
+            li.textContent = `${label}: ${value}`;
+            counters.appendChild(li);
+        });
+    }
+
+    function updateControls() {
+        const ready = !!state;
+        const atEnd = ready && state.index >= state.steps.length - 1;
+        if (backBtn) backBtn.disabled = !ready || state.index <= 0;
+        if (forwardBtn) forwardBtn.disabled = !ready || atEnd;
+        if (playBtn) {
+            playBtn.disabled = !ready;
+            playBtn.textContent = ready && state.timer ? 'Pause' : (atEnd ? 'Replay' : 'Play');
+        }
+    }
+
+    function show() {
+        if (!state) return;
+        const step = state.steps[state.index];
+        render(step, state.index, state.steps);
+        if (code) {
+            Array.from(code.children).forEach((li, i) => {
+                li.classList.toggle('active', i === step.line);
+                if (i === step.line) li.setAttribute('aria-current', 'step');
+                else li.removeAttribute('aria-current');
+            });
+        }
+        renderCounters({ step: `${state.index + 1} / ${state.steps.length}`, ...step.counters });
+        setStatus(`Step ${state.index + 1} of ${state.steps.length}: ${step.note}`);
+        updateControls();
+    }
+
+    function pause() {
+        if (!state || !state.timer) return;
+        clearTimeout(state.timer);
+        state.timer = null;
+        updateControls();
+    }
+
+    function stepBy(delta) {
+        if (!state) return;
+        state.index = Math.max(0, Math.min(state.steps.length - 1, state.index + delta));
+        show();
+    }
+
+    function play() {
+        if (!state) return;
+        if (state.index >= state.steps.length - 1) state.index = 0; // replay from the start
+
+        const tick = () => {
+            if (!state) return;
+            if (state.index >= state.steps.length - 1) {
+                state.timer = null;
+                updateControls();
+                return;
+            }
+            stepBy(1);
+            state.timer = setTimeout(tick, stepMs / getSpeed());
+            updateControls();
+        };
+
+        show();
+        state.timer = setTimeout(tick, stepMs / getSpeed());
+        updateControls();
+    }
+
+    function load(trace, pseudocode) {
+        stop();
+        state = { steps: trace.steps, index: 0, timer: null };
+        renderCode(pseudocode);
+        play();
+    }
+
+    function stop(message = null) {
+        pause();
+        state = null;
+        updateControls();
+        if (counters) counters.innerHTML = '';
+        if (code) code.querySelectorAll('li').forEach(li => {
+            li.classList.remove('active');
+            li.removeAttribute('aria-current');
+        });
+        if (onStop) onStop();
+        if (message) setStatus(message);
+    }
+
+    if (backBtn) backBtn.addEventListener('click', () => { pause(); stepBy(-1); });
+    if (forwardBtn) forwardBtn.addEventListener('click', () => { pause(); stepBy(1); });
+    if (playBtn) {
+        playBtn.addEventListener('click', () => {
+            if (state && state.timer) pause();
+            else play();
+        });
+    }
+    if (speedInput) {
+        const showSpeed = () => {
+            if (speedValue) speedValue.textContent = `${getSpeed()}×`;
+        };
+        speedInput.addEventListener('input', showSpeed);
+        showSpeed();
+    }
+
+    return {
+        load, stop, renderCode, setStatus,
+        current: () => (state ? state.steps[state.index] : null),
+        index: () => (state ? state.index : -1),
+        steps: () => (state ? state.steps : [])
+    };
+}
+
+export {
+    // SVG
+    svgNS,
+    getAccentColor,
+    svgElement,
+
+    // playback
+    PLAYBACK_STEP_MS,
+    createPlayback
+};
+
+// End of demo-ui.js
+
+/* ============================================================
+   END OF SHARED DEMO UI
+   ============================================================ */
@@ -0,0 +1,185 @@
+/* ============================================================
+   PHOTO GALLERY: LIGHTBOX WITH KEYS, SWIPE, CAPTIONS, DEEP LINKS
+   ES module used by script.js (about.html)
+   ============================================================ */
+
+// initGallery() turns every `.personal-photos img` into a gallery entry:
+//   ← / → or a swipe move between photos, Escape or a click on the backdrop closes,
+//   Tab stays inside the open lightbox and focus goes back to the photo that opened it.
+// Captions come from the image alt text. Each photo has a deep link, about.html#photo=hiking,
+// named by its data-photo attribute or by the file name (/assets/hiking.jpg -> hiking).
+
+// 1. SETTINGS
+
+const PHOTO_HASH = /^#photo=([\w-]+)$/;
+const SWIPE_MIN_PX = 50; // shorter drags are taps
+const FOCUSABLE = 'button, [href], [tabindex]:not([tabindex="-1"])';
+
+function photoName(img) {
+    if (img.dataset.photo) return img.dataset.photo;
+    const file = (img.getAttribute('src') || '').split('/').pop();
+    return file.replace(/\.[^.]*$/, '').toLowerCase().replace(/[^\w-]+/g, '-');
+}
+
+function preload(src) {
+    if (!src) return;
+    const img = new Image();
+    img.src = src;
+}
+
+// 2. GALLERY
+
+function initGallery() {
+    const lightbox = document.getElementById('lightbox');
+    const photos = Array.from(document.querySelectorAll('.personal-photos img'));
+    if (!lightbox || photos.length === 0) return null; // not every page has photos
+
+    const lightboxImg = lightbox.querySelector('.lightbox-img');
+    const caption = lightbox.querySelector('.lightbox-caption');
+    const counter = lightbox.querySelector('.lightbox-counter');
+    const closeBtn = lightbox.querySelector('.lightbox-close');
+    const prevBtn = lightbox.querySelector('.lightbox-prev');
+    const nextBtn = lightbox.querySelector('.lightbox-next');
+    const names = photos.map(photoName);
+
+    let current = -1; // index of the open photo, -1 while closed
+    let opener = null; // element that gets focus back on close
+    let touchStart = null;
+
+    function isOpen() {
+        return current >= 0;
+    }
+
+    function show(index) {
+        current = (index + photos.length) % photos.length;
+        const photo = photos[current];
+        lightboxImg.src = photo.src;
+        lightboxImg.alt = photo.alt;
+        if (caption) caption.textContent = photo.alt;
+        if (counter) counter.textContent = `${current + 1} / ${photos.length}`;
+
+        // neighbours are usually next: have them cached before the arrow press
+        if (photos.length > 1) {
+            preload(photos[(current + 1) % photos.length].src);
+            preload(photos[(current - 1 + photos.length) % photos.length].src);
+        }
+
+        history.replaceState(null, '', `#photo=${names[current]}`);
+    }
+
+    function open(index, returnFocusTo = photos[index]) {
+        if (!isOpen()) opener = returnFocusTo;
+        lightbox.style.display = 'flex';
+        lightbox.setAttribute('aria-hidden', 'false');
+        document.body.classList.add('lightbox-open');
+        show(index);
+        (closeBtn || lightbox).focus();
+    }
+
+    function close() {
+        if (!isOpen()) return;
+        current = -1;
+        lightbox.style.display = 'none';
+        lightbox.setAttribute('aria-hidden', 'true');
+        document.body.classList.remove('lightbox-open');
+        if (PHOTO_HASH.test(window.location.hash)) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+        if (opener && opener.focus) opener.focus();
+        opener = null;
+    }
+
+    function openFromHash() {
+        const match = window.location.hash.match(PHOTO_HASH);
+        const index = match ? names.indexOf(match[1].toLowerCase()) : -1;
+        if (index >= 0) open(index, isOpen() ? opener : photos[index]);
+        else if (isOpen()) close();
+    }
+
+    // photos open with a click, Enter or Space
+    photos.forEach((photo, index) => {
+        photo.setAttribute('tabindex', '0');
+        photo.setAttribute('role', 'button');
+        photo.setAttribute('aria-haspopup', 'dialog');
+        photo.addEventListener('click', () => open(index));
+        photo.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                open(index);
+            }
+        });
+    });
+
+    if (closeBtn) closeBtn.addEventListener('click', close);
+    if (prevBtn) prevBtn.addEventListener('click', () => show(current - 1));
+    if (nextBtn) nextBtn.addEventListener('click', () => show(current + 1));
+    if (photos.length < 2) {
+        [prevBtn, nextBtn].forEach(btn => { if (btn) btn.hidden = true; });
+    }
+
+    // click outside image closes
+    lightbox.addEventListener('click', (e) => {
+        if (e.target === lightbox) close();
+    });
+
+    lightbox.addEventListener('keydown', (e) => {
+        switch (e.key) {
+            case 'ArrowRight':
+                e.preventDefault();
+                show(current + 1);
+                break;
+            case 'ArrowLeft':
+                e.preventDefault();
+                show(current - 1);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                close();
+                break;
+            case 'Tab': { // focus trap: wrap around the lightbox controls
+                const focusable = Array.from(lightbox.querySelectorAll(FOCUSABLE)).filter(el => !el.hidden);
+                if (focusable.length === 0) {
+                    e.preventDefault();
+                    break;
+                }
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+                if (e.shiftKey && (document.activeElement === first || !lightbox.contains(document.activeElement))) {
+                    e.preventDefault();
+                    last.focus();
+                } else if (!e.shiftKey && document.activeElement === last) {
+                    e.preventDefault();
+                    first.focus();
+                }
+                break;
+            }
+        }
+    });
+
+    // swipe: a mostly horizontal drag moves to the next / previous photo
+    lightbox.addEventListener('touchstart', (e) => {
+        if (e.touches.length !== 1) return;
+        touchStart = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+    }, { passive: true });
+
+    lightbox.addEventListener('touchend', (e) => {
+        if (!touchStart || !isOpen()) return;
+        const touch = e.changedTouches[0];
+        const dx = touch.clientX - touchStart.x;
+        const dy = touch.clientY - touchStart.y;
+        touchStart = null;
+        if (Math.abs(dx) < SWIPE_MIN_PX || Math.abs(dx) < Math.abs(dy)) return;
+        show(dx < 0 ? current + 1 : current - 1);
+    });
+
+    window.addEventListener('hashchange', openFromHash);
+    openFromHash(); // about.html#photo=hiking opens straight away
+
+    return { open, close, next: () => show(current + 1), prev: () => show(current - 1), isOpen };
+}
+
+export { initGallery };
+
+/* ============================================================
+   END OF PHOTO GALLERY
+   ============================================================ */
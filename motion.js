@@ -0,0 +1,173 @@
+/* ============================================================
+   MOTION ENGINE: SCROLL-IN EFFECTS AND REDUCED MOTION
+   ES module imported by script.js on every page (and by trie-demo.js)
+   ============================================================ */
+
+// Markup:
+//   data-animate="slide-up"        effect name from EFFECTS (unknown names fall back to fade-in)
+//   data-animate-duration="800"    ms, default from the effect
+//   data-animate-delay="150"       ms before the effect starts
+//   data-animate-stagger="90"      children enter one after another, 90 ms apart (the element itself stays put)
+//   data-animate-replay            play again every time the element scrolls back into view
+// The effects themselves are CSS (style.css, "Animations"): the engine sets --animate-duration and
+// --animate-delay and adds `in-view`.
+//
+// Reduced motion: the `motion` setting is 'system' (follows prefers-reduced-motion, live), 'reduce'
+// or 'full'. While motion is reduced <html> has the `reduce-motion` class, which turns transitions and
+// keyframe animations off site-wide, and every [data-animate] element is shown at once.
+// Every change fires a `motionchange` event on document; scripts that animate from JS (the trie
+// diagram) ask prefersReducedMotion() before they do.
+
+// 1. EFFECTS
+
+const MOTION_STORAGE_KEY = 'motion';
+const MOTION_SETTINGS = ['system', 'reduce', 'full'];
+
+const EFFECTS = { // default duration per effect in ms, the movement lives in style.css
+    'fade-in': { duration: 550 },
+    'slide-up': { duration: 600 },
+    'slide-left': { duration: 600 },
+    'slide-right': { duration: 600 },
+    'zoom-in': { duration: 450 }
+};
+const DEFAULT_EFFECT = 'fade-in';
+
+const VIEW_THRESHOLD = 0.12; // share of the element that must be visible before it animates
+
+// 2. SETTING AND REDUCED MOTION
+
+const systemReducedQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+// retrieve the stored setting, same safety as theme.js: storage may be blocked
+function getMotionSetting() {
+    try {
+        const value = localStorage.getItem(MOTION_STORAGE_KEY);
+        return MOTION_SETTINGS.includes(value) ? value : 'system';
+    } catch(e) {
+        return 'system';
+    }
+}
+
+function prefersReducedMotion() {
+    const setting = getMotionSetting();
+    if (setting !== 'system') return setting === 'reduce';
+    return !!(systemReducedQuery && systemReducedQuery.matches);
+}
+
+function applyMotion() {
+    const reduced = prefersReducedMotion();
+    const root = document.documentElement;
+    root.classList.toggle('reduce-motion', reduced);
+    root.dataset.motion = getMotionSetting();
+    if (reduced) revealAll();
+    document.dispatchEvent(new CustomEvent('motionchange', { detail: { setting: getMotionSetting(), reduced } }));
+}
+
+function setMotionSetting(value) {
+    try {
+        if (MOTION_SETTINGS.includes(value) && value !== 'system') localStorage.setItem(MOTION_STORAGE_KEY, value);
+        else localStorage.removeItem(MOTION_STORAGE_KEY);
+    } catch(e) {}
+    applyMotion();
+}
+
+// 3. SCROLL-IN ANIMATIONS
+
+let observer = null;
+const observed = new Set(); // elements still waiting for (or replaying) their effect
+
+function readMs(el, name, fallback) { // data-animate-* attribute in ms, fallback when missing or invalid
+    const value = parseFloat(el.getAttribute(`data-animate-${name}`));
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// write the timing of one [data-animate] element (and its children when staggered) as CSS variables
+function prepareElement(el) {
+    const name = el.getAttribute('data-animate');
+    if (!EFFECTS[name]) console.warn(`motion.js: unknown data-animate effect "${name}", using ${DEFAULT_EFFECT}`);
+    const effect = EFFECTS[name] || EFFECTS[DEFAULT_EFFECT];
+
+    const duration = readMs(el, 'duration', effect.duration);
+    const delay = readMs(el, 'delay', 0);
+    el.style.setProperty('--animate-duration', `${duration}ms`);
+    el.style.setProperty('--animate-delay', `${delay}ms`);
+
+    const stagger = readMs(el, 'stagger', null);
+    if (stagger === null) return;
+    Array.from(el.children).forEach((child, i) => {
+        child.style.setProperty('--animate-delay', `${delay + i * stagger}ms`);
+    });
+}
+
+function revealAll() {
+    observed.forEach(el => el.classList.add('in-view'));
+    observed.clear();
+    if (observer) observer.disconnect();
+}
+
+function onIntersect(entries) {
+    entries.forEach(entry => {
+        const el = entry.target;
+        if (entry.isIntersecting) {
+            el.classList.add('in-view');
+            if (!el.hasAttribute('data-animate-replay')) {
+                observer.unobserve(el);
+                observed.delete(el);
+            }
+        } else if (el.hasAttribute('data-animate-replay')) {
+            el.classList.remove('in-view'); // out of sight: reset so the effect plays on the way back
+        }
+    });
+}
+
+/**
+ * Start the scroll-in effects of every [data-animate] element under `root`.
+ * Elements already started are skipped, so it is safe to call again after adding markup.
+ * @param {ParentNode} [root=document]
+ */
+function initAnimations(root = document) {
+    const elements = Array.from(root.querySelectorAll('[data-animate]'))
+        .filter(el => !el.classList.contains('in-view') && !observed.has(el));
+    elements.forEach(prepareElement);
+
+    // reduced motion or no IntersectionObserver: everything is simply shown
+    if (prefersReducedMotion() || !('IntersectionObserver' in window)) {
+        elements.forEach(el => el.classList.add('in-view'));
+        return;
+    }
+
+    if (!observer) observer = new IntersectionObserver(onIntersect, { threshold: VIEW_THRESHOLD });
+    elements.forEach(el => {
+        observed.add(el);
+        observer.observe(el);
+    });
+}
+
+// 4. STARTUP, SYSTEM CHANGES AND OTHER TABS
+
+applyMotion(); // the class is on <html> before the first effect could start
+
+if (systemReducedQuery) { // only matters in system mode, applyMotion re-reads the query
+    const onSystemChange = () => {
+        if (getMotionSetting() === 'system') applyMotion();
+    };
+    if (systemReducedQuery.addEventListener) systemReducedQuery.addEventListener('change', onSystemChange);
+    else if (systemReducedQuery.addListener) systemReducedQuery.addListener(onSystemChange); // older Safari
+}
+
+window.addEventListener('storage', (e) => {
+    if (e.key === null || e.key === MOTION_STORAGE_KEY) applyMotion();
+});
+
+export {
+    EFFECTS,
+    MOTION_SETTINGS,
+    getMotionSetting,
+    setMotionSetting,
+    prefersReducedMotion,
+    initAnimations
+};
+
+/* ============================================================
+   END OF MOTION ENGINE
+   ============================================================ */
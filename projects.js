@@ -0,0 +1,335 @@
+/* ============================================================
+   PROJECTS PAGE: CARDS FROM projects.json, TAG FILTERS AND SEARCH
+   ============================================================ */
+
+// Adding a project = adding an entry to projects.json:
+//   { id, title, description, tags: [...], image: { src, alt }, repo?, demo? }
+// Filter state lives in the URL (?q=trie&tags=C%2B%2B,Java&sort=title) so a filtered list can be shared.
+// The search box autocompletes titles and tags with the same Trie engine as the demo.
+
+import { Trie } from './trie-engine.js';
+import { track } from './analytics.js';
+import { initAnimations } from './motion.js'; // cards arrive after script.js started the effects
+
+// 1. STATE
+
+const MANIFEST_URL = 'projects.json';
+const SUGGESTION_LIMIT = 8;
+
+const SORTS = {
+    featured: () => 0, // manifest order
+    title: (a, b) => a.title.localeCompare(b.title),
+    'title-desc': (a, b) => b.title.localeCompare(a.title)
+};
+
+const grid = document.getElementById('projects');
+const searchInput = document.getElementById('project-search');
+const suggestionsList = document.getElementById('project-suggestions');
+const sortSelect = document.getElementById('project-sort');
+const tagChips = document.getElementById('project-tags');
+const countStatus = document.getElementById('project-count');
+
+let projects = [];
+const searchTrie = new Trie({ foldAccents: true }); // "crypto" finds "Cryptography", accents ignored
+const searchTargets = new Map(); // trie key -> { kind: 'tag' | 'project', value }
+let state = { q: '', tags: [], sort: 'featured' };
+let activeSuggestion = -1;
+
+// 2. URL STATE
+
+function readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    const sort = params.get('sort');
+    return {
+        q: params.get('q') || '',
+        tags: (params.get('tags') || '').split(',').map(tag => tag.trim()).filter(Boolean),
+        sort: SORTS[sort] ? sort : 'featured'
+    };
+}
+
+function writeUrlState() { // replaceState: filtering should not fill the back button history
+    const params = new URLSearchParams(window.location.search);
+    const set = (key, value) => (value ? params.set(key, value) : params.delete(key));
+    set('q', state.q);
+    set('tags', state.tags.join(','));
+    set('sort', state.sort === 'featured' ? '' : state.sort);
+    const query = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+}
+
+// 3. FILTERING AND RENDERING
+
+function matchesProject(project) {
+    if (!state.tags.every(tag => project.tags.includes(tag))) return false; // chips narrow (AND)
+    const words = searchTrie.keyOf(state.q).split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+    const haystack = searchTrie.keyOf([project.title, project.description, ...project.tags].join(' '));
+    return words.every(word => haystack.includes(word));
+}
+
+function createProjectCard(project) {
+    const card = document.createElement('article');
+    card.className = 'project-card';
+    card.id = `project-${project.id}`;
+    card.dataset.animate = 'slide-up';
+
+    if (project.image) {
+        const img = document.createElement('img');
+        img.className = 'card-img';
+        img.src = project.image.src;
+        img.alt = project.image.alt || project.title;
+        img.loading = 'lazy';
+        card.appendChild(img);
+    }
+
+    const body = document.createElement('div');
+    body.className = 'card-body';
+
+    const title = document.createElement('h3');
+    title.textContent = project.title;
+
+    const description = document.createElement('p');
+    description.textContent = project.description;
+
+    const tags = document.createElement('ul');
+    tags.className = 'card-tags';
+    tags.setAttribute('aria-label', 'Tags');
+    project.tags.forEach(tag => {
+        const li = document.createElement('li');
+        li.textContent = tag;
+        tags.appendChild(li);
+    });
+
+    const footer = document.createElement('div');
+    footer.className = 'card-footer';
+    if (project.repo) {
+        const repo = document.createElement('a');
+        repo.className = 'btn';
+        repo.href = project.repo;
+        repo.target = '_blank';
+        repo.rel = 'noopener noreferrer';
+        repo.textContent = 'View Repo';
+        footer.appendChild(repo);
+    }
+    if (project.demo) {
+        const demo = document.createElement('a');
+        demo.className = 'btn secondary';
+        demo.href = project.demo;
+        demo.textContent = 'Live Demo';
+        footer.appendChild(demo);
+    }
+
+    body.append(title, description, tags, footer);
+    card.appendChild(body);
+    return card;
+}
+
+function renderTagChips() {
+    if (!tagChips) return;
+    const counts = new Map();
+    projects.forEach(project => project.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+
+    tagChips.innerHTML = '';
+    Array.from(counts.keys())
+        .sort((a, b) => (counts.get(b) - counts.get(a)) || a.localeCompare(b))
+        .forEach(tag => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'tag-chip';
+            chip.dataset.tag = tag;
+            chip.textContent = `${tag} (${counts.get(tag)})`;
+            chip.setAttribute('aria-pressed', String(state.tags.includes(tag)));
+            chip.addEventListener('click', () => toggleTag(tag));
+            tagChips.appendChild(chip);
+        });
+}
+
+function renderProjects() {
+    if (!grid) return;
+    const visible = projects
+        .map((project, index) => ({ project, index }))
+        .filter(({ project }) => matchesProject(project))
+        .sort((a, b) => SORTS[state.sort](a.project, b.project) || a.index - b.index)
+        .map(({ project }) => project);
+
+    grid.innerHTML = '';
+    visible.forEach(project => grid.appendChild(createProjectCard(project)));
+
+    if (visible.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'projects-empty';
+        empty.textContent = 'No projects match these filters.';
+        grid.appendChild(empty);
+    }
+    initAnimations(grid);
+
+    if (tagChips) {
+        tagChips.querySelectorAll('.tag-chip').forEach(chip => {
+            chip.setAttribute('aria-pressed', String(state.tags.includes(chip.dataset.tag)));
+        });
+    }
+    if (countStatus) {
+        const filtered = state.q || state.tags.length;
+        countStatus.textContent = filtered
+            ? `Showing ${visible.length} of ${projects.length} projects.`
+            : `${projects.length} projects.`;
+    }
+}
+
+function update(changes) {
+    state = { ...state, ...changes };
+    writeUrlState();
+    renderProjects();
+}
+
+function toggleTag(tag) {
+    const tags = state.tags.includes(tag) ? state.tags.filter(t => t !== tag) : [...state.tags, tag];
+    update({ tags });
+    track('project_filter', {
+        event_category: 'projects',
+        event_label: tags.join(',') || 'none'
+    });
+}
+
+// 4. SEARCH BOX WITH TRIE AUTOCOMPLETE (combobox, same keys as the trie demo)
+
+function buildSearchIndex() {
+    projects.forEach(project => {
+        searchTrie.insert(project.title, 1);
+        searchTargets.set(searchTrie.keyOf(project.title), { kind: 'project', value: project.title });
+        project.tags.forEach(tag => {
+            searchTrie.insert(tag, 1); // tags on many projects rank first
+            searchTargets.set(searchTrie.keyOf(tag), { kind: 'tag', value: tag });
+        });
+    });
+}
+
+function closeProjectSuggestions() {
+    if (!suggestionsList || !searchInput) return;
+    suggestionsList.innerHTML = '';
+    activeSuggestion = -1;
+    searchInput.setAttribute('aria-expanded', 'false');
+    searchInput.removeAttribute('aria-activedescendant');
+}
+
+function setActiveSuggestion(index) {
+    const items = Array.from(suggestionsList.querySelectorAll('li[role="option"]'));
+    activeSuggestion = items.length ? (index + items.length) % items.length : -1;
+    items.forEach((item, i) => {
+        item.classList.toggle('active', i === activeSuggestion);
+        item.setAttribute('aria-selected', String(i === activeSuggestion));
+    });
+    if (items[activeSuggestion]) searchInput.setAttribute('aria-activedescendant', items[activeSuggestion].id);
+}
+
+function chooseSuggestion(target) {
+    closeProjectSuggestions();
+    if (target.kind === 'tag') { // a tag narrows with its chip and leaves the search text alone
+        searchInput.value = '';
+        update({ q: '', tags: state.tags.includes(target.value) ? state.tags : [...state.tags, target.value] });
+        return;
+    }
+    searchInput.value = target.value;
+    update({ q: target.value });
+}
+
+function renderProjectSuggestions(query) {
+    closeProjectSuggestions();
+    if (!query.trim()) return;
+
+    const matches = searchTrie.topK(query.trim(), SUGGESTION_LIMIT);
+    if (matches.length === 0) return;
+
+    matches.forEach((word, i) => {
+        const target = searchTargets.get(searchTrie.keyOf(word));
+        if (!target) return;
+        const li = document.createElement('li');
+        li.id = `project-suggestion-${i}`;
+        li.setAttribute('role', 'option');
+        li.setAttribute('aria-selected', 'false');
+        li.textContent = target.value;
+
+        const kind = document.createElement('span');
+        kind.className = 'suggestion-kind';
+        kind.textContent = target.kind === 'tag' ? 'tag' : 'project';
+        li.appendChild(kind);
+
+        li.addEventListener('click', () => chooseSuggestion(target));
+        suggestionsList.appendChild(li);
+    });
+    searchInput.setAttribute('aria-expanded', 'true');
+}
+
+if (searchInput && suggestionsList) {
+    searchInput.addEventListener('input', () => {
+        update({ q: searchInput.value.trim() }); // the grid filters on every keystroke
+        renderProjectSuggestions(searchInput.value);
+        track('project_search', { event_category: 'projects' }, { debounce: 1000 });
+    });
+
+    searchInput.addEventListener('keydown', (e) => {
+        const items = suggestionsList.querySelectorAll('li[role="option"]');
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (!items.length) renderProjectSuggestions(searchInput.value);
+                else setActiveSuggestion(activeSuggestion + 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                if (items.length) setActiveSuggestion(activeSuggestion - 1);
+                break;
+            case 'Enter':
+                if (activeSuggestion >= 0 && items[activeSuggestion]) {
+                    e.preventDefault();
+                    items[activeSuggestion].click();
+                }
+                break;
+            case 'Escape':
+                if (items.length) closeProjectSuggestions();
+                else if (searchInput.value) {
+                    searchInput.value = '';
+                    update({ q: '' });
+                }
+                break;
+        }
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.project-search')) closeProjectSuggestions();
+    });
+}
+
+if (sortSelect) {
+    sortSelect.addEventListener('change', () => update({ sort: sortSelect.value }));
+}
+
+// 5. LOAD THE MANIFEST
+
+async function loadProjects() {
+    state = readUrlState();
+    if (searchInput) searchInput.value = state.q;
+    if (sortSelect) sortSelect.value = state.sort;
+
+    try {
+        const response = await fetch(MANIFEST_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const manifest = await response.json();
+        projects = (manifest.projects || []).filter(project => project && project.id && project.title);
+        projects.forEach(project => { project.tags = project.tags || []; });
+    } catch (err) {
+        console.warn('projects.js: could not load projects.json', err);
+        if (countStatus) countStatus.textContent = 'Projects could not be loaded, see github.com/zeke-sys for the full list.';
+        return;
+    }
+
+    buildSearchIndex();
+    renderTagChips();
+    renderProjects();
+}
+
+loadProjects();
+
+/* ============================================================
+   END OF PROJECTS PAGE
+   ============================================================ */
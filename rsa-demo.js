@@ -0,0 +1,281 @@
+/* ============================================================
+   RSA TOOLKIT DEMO WITH STEP-BY-STEP TABLES
+   ============================================================ */
+
+// 1. RSA ENGINE
+// Key generation, modPow and text encoding live in the DOM-free rsa-engine.js module.
+// Everything stays in the page: no key, message or ciphertext leaves the browser.
+
+import {
+    DEFAULT_PUBLIC_EXPONENT, bitLength,
+    traceModPow, generateKeyPair, encodeText, decodeText, encryptBlocks, decryptBlocks
+} from './rsa-engine.js';
+import { track } from './analytics.js';
+
+// 2. PAGE STATE
+
+const DEFAULT_KEY_BITS = 32;
+
+let key = null; // result of generateKeyPair
+let encoded = null; // last encodeText result, for its exact byte length
+let plainBlocks = []; // plaintext blocks shown in the tables
+let cipherBlocks = []; // ciphertext blocks shown in the tables
+
+const bitsSelect = document.getElementById('rsa-bits');
+const pInput = document.getElementById('rsa-p');
+const qInput = document.getElementById('rsa-q');
+const eInput = document.getElementById('rsa-e');
+const generateBtn = document.getElementById('rsa-generate');
+const keyStatus = document.getElementById('rsa-key-status');
+const keyTable = document.querySelector('#rsa-key tbody');
+const euclidTable = document.querySelector('#rsa-euclid tbody');
+const euclidStatus = document.getElementById('rsa-euclid-status');
+
+const messageInput = document.getElementById('rsa-message');
+const encryptBtn = document.getElementById('rsa-encrypt');
+const bytesLine = document.getElementById('rsa-bytes');
+const cipherInput = document.getElementById('rsa-cipher');
+const decryptBtn = document.getElementById('rsa-decrypt');
+const messageStatus = document.getElementById('rsa-message-status');
+const blocksTable = document.querySelector('#rsa-blocks tbody');
+
+const traceBlockSelect = document.getElementById('rsa-trace-block');
+const traceOpSelect = document.getElementById('rsa-trace-op');
+const traceStatus = document.getElementById('rsa-trace-status');
+const traceTable = document.querySelector('#rsa-trace tbody');
+
+// 3. HELPERS
+
+function setKeyStatus(message) {
+    if (keyStatus) keyStatus.textContent = message;
+}
+
+function setMessageStatus(message) {
+    if (messageStatus) messageStatus.textContent = message;
+}
+
+function setTraceStatus(message) {
+    if (traceStatus) traceStatus.textContent = message;
+}
+
+// one <tr> per row, cells are strings (numbers go through String() so BigInts print in full)
+function fillTable(tbody, rows, numericFrom = 0) {
+    if (!tbody) return;
+    tbody.innerHTML = '';
+    rows.forEach(cells => {
+        const tr = document.createElement('tr');
+        cells.forEach((cell, i) => {
+            const td = document.createElement('td');
+            td.textContent = cell == null ? '' : String(cell);
+            if (i >= numericFrom) td.classList.add('rsa-number');
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+    return tbody;
+}
+
+function parseBlocks(text) { // "123, 456 789" -> [123n, 456n, 789n]
+    const parts = text.split(/[\s,]+/).filter(Boolean);
+    return parts.map((part, i) => {
+        if (!/^\d+$/.test(part)) throw new TypeError(`block ${i + 1} ("${part}") is not a whole number`);
+        return BigInt(part);
+    });
+}
+
+function formatHexBytes(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join(' ');
+}
+
+// 4. KEY GENERATION: PRIMES, φ(n) AND THE EUCLID TABLE
+
+function renderKey() {
+    const how = {
+        p: key.primeSearch ? `random ${bitLength(key.p)}-bit prime, ${key.primeSearch.p} odd candidates tested` : 'given, passed Miller-Rabin',
+        q: key.primeSearch ? `random ${bitLength(key.q)}-bit prime, ${key.primeSearch.q} odd candidates tested` : 'given, passed Miller-Rabin',
+        n: `p · q (${key.bits} bits, public)`,
+        phi: '(p − 1)(q − 1), secret',
+        e: key.e === DEFAULT_PUBLIC_EXPONENT ? 'public exponent (the usual 65537)' : 'public exponent, coprime to φ(n)',
+        d: 'e⁻¹ mod φ(n), private'
+    };
+    fillTable(keyTable, [
+        ['p', key.p, how.p],
+        ['q', key.q, how.q],
+        ['n', key.n, how.n],
+        ['φ(n)', key.phi, how.phi],
+        ['e', key.e, how.e],
+        ['d', key.d, how.d]
+    ], 1);
+    if (keyTable) keyTable.querySelectorAll('tr td:last-child').forEach(td => td.classList.remove('rsa-number'));
+
+    // rows 0 and 1 are the starting values φ(n) and e, the last row reaches remainder 0
+    fillTable(euclidTable, key.euclid.rows.map((row, i) => [
+        i,
+        row.quotient == null ? '' : row.quotient,
+        row.remainder,
+        row.s,
+        row.t
+    ]), 1);
+    if (euclidStatus) {
+        const t = key.euclid.y;
+        euclidStatus.textContent = `gcd(φ(n), e) = ${key.euclid.gcd} = ${key.euclid.x}·φ(n) + ${t}·e, so d = ${t} mod φ(n) = ${key.d}. Check: e·d mod φ(n) = ${(key.e * key.d) % key.phi}.`;
+    }
+}
+
+function generateKeys() {
+    const p = pInput && pInput.value.trim();
+    const q = qInput && qInput.value.trim();
+    const e = eInput ? eInput.value.trim() : '';
+    const bits = Number(bitsSelect ? bitsSelect.value : DEFAULT_KEY_BITS);
+
+    const started = performance.now();
+    try {
+        key = generateKeyPair({ bits, e: e || DEFAULT_PUBLIC_EXPONENT, p: p || null, q: q || null });
+    } catch (err) {
+        setKeyStatus(`Could not build a key: ${err.message}.`);
+        return false;
+    }
+    const elapsed = performance.now() - started;
+
+    renderKey();
+    const fallback = e && BigInt(e) !== key.e ? ` ${e} is not below φ(n), so e = ${key.e}.` : ''; // tiny keys
+    setKeyStatus(`${key.bits}-bit key ready in ${elapsed < 1 ? '<1' : Math.round(elapsed)} ms. Public key (n, e), private key (n, d).${fallback}`);
+    return true;
+}
+
+// 5. TEXT ENCODING, ENCRYPTION AND DECRYPTION
+
+function renderBlocks() {
+    const rows = Math.max(plainBlocks.length, cipherBlocks.length);
+    fillTable(blocksTable, Array.from({ length: rows }, (_, i) => [i + 1, plainBlocks[i], cipherBlocks[i]]), 1);
+
+    // trace picker: one option per block
+    if (traceBlockSelect) {
+        const selected = traceBlockSelect.value;
+        traceBlockSelect.innerHTML = '';
+        for (let i = 0; i < rows; i++) {
+            const option = document.createElement('option');
+            option.value = String(i);
+            option.textContent = `Block ${i + 1}`;
+            traceBlockSelect.appendChild(option);
+        }
+        if (selected && Number(selected) < rows) traceBlockSelect.value = selected;
+    }
+    renderTrace();
+}
+
+function encryptMessage() {
+    if (!key) return;
+    try {
+        encoded = encodeText(messageInput ? messageInput.value : '', key.n);
+    } catch (err) {
+        setMessageStatus(`Could not encode: ${err.message}.`);
+        return;
+    }
+    plainBlocks = encoded.blocks;
+    cipherBlocks = encryptBlocks(plainBlocks, key);
+
+    if (bytesLine) {
+        bytesLine.textContent = encoded.bytes.length
+            ? `UTF-8 bytes: ${formatHexBytes(encoded.bytes)} (${encoded.blockSize} per block)`
+            : 'Nothing to encrypt.';
+    }
+    if (cipherInput) cipherInput.value = cipherBlocks.join(' ');
+    renderBlocks();
+    setMessageStatus(`Encrypted ${encoded.bytes.length} byte${encoded.bytes.length === 1 ? '' : 's'} into ${cipherBlocks.length} block${cipherBlocks.length === 1 ? '' : 's'} with the public key.`);
+}
+
+function decryptMessage() {
+    if (!key) return;
+    let blocks;
+    try {
+        blocks = parseBlocks(cipherInput ? cipherInput.value : '');
+    } catch (err) {
+        setMessageStatus(`Could not read the ciphertext: ${err.message}.`);
+        return;
+    }
+    const tooLarge = blocks.findIndex(c => c >= key.n);
+    if (tooLarge >= 0) {
+        setMessageStatus(`Block ${tooLarge + 1} is not smaller than n, so it cannot come from this key.`);
+        return;
+    }
+
+    cipherBlocks = blocks;
+    plainBlocks = decryptBlocks(blocks, key);
+
+    // unchanged ciphertext: the original byte count; edited: assume the last block is as short as its value
+    const blockSize = Math.floor((bitLength(key.n) - 1) / 8);
+    const unchanged = encoded && encoded.blocks.length === blocks.length
+        && encryptBlocks(encoded.blocks, key).every((c, i) => c === blocks[i]);
+    const last = plainBlocks[plainBlocks.length - 1];
+    const byteLength = unchanged
+        ? encoded.bytes.length
+        : Math.max(0, plainBlocks.length - 1) * blockSize + Math.ceil(bitLength(last || 0n) / 8);
+
+    renderBlocks();
+    try {
+        const text = decodeText({ blocks: plainBlocks, blockSize, byteLength });
+        setMessageStatus(`Decrypted with the private key: "${text}"`);
+    } catch (err) {
+        setMessageStatus(`Decrypted blocks are not valid text: ${err.message}.`);
+    }
+}
+
+// 6. SQUARE-AND-MULTIPLY TRACE
+
+function renderTrace() {
+    if (!key || !traceTable) return;
+    const index = Number(traceBlockSelect ? traceBlockSelect.value : 0) || 0;
+    const decrypting = traceOpSelect && traceOpSelect.value === 'decrypt';
+    const base = decrypting ? cipherBlocks[index] : plainBlocks[index];
+    if (base == null) {
+        fillTable(traceTable, []);
+        setTraceStatus('Encrypt a message to trace one of its blocks.');
+        return;
+    }
+
+    const exponent = decrypting ? key.d : key.e;
+    const { steps, result } = traceModPow(base, exponent, key.n);
+    fillTable(traceTable, steps.map((step, i) => [
+        i + 1,
+        step.bit,
+        step.exponentSoFar,
+        step.squared,
+        step.multiplied ? `× ${base}` : '',
+        step.result
+    ]), 2);
+
+    const multiplications = steps.filter(step => step.multiplied).length;
+    const name = decrypting ? 'm = c^d' : 'c = m^e';
+    setTraceStatus(`${name} mod n = ${result}: ${steps.length} squarings and ${multiplications} multiplications for a ${steps.length}-bit exponent (naive repeated multiplication needs ${exponent - 1n}).`);
+}
+
+// 7. WIRE UP AND FIRST KEY
+
+if (generateBtn) {
+    generateBtn.addEventListener('click', () => {
+        if (!generateKeys()) return;
+        encryptMessage(); // old ciphertext is meaningless under a new key
+        track('rsa_generate', {
+            event_category: 'rsa_demo',
+            event_label: pInput && pInput.value.trim() ? 'custom primes' : `${key.bits} bits`
+        });
+    });
+}
+if (encryptBtn) {
+    encryptBtn.addEventListener('click', () => {
+        encryptMessage();
+        track('rsa_encrypt', { event_category: 'rsa_demo' }, { debounce: 1000 });
+    });
+}
+if (decryptBtn) decryptBtn.addEventListener('click', decryptMessage);
+if (traceBlockSelect) traceBlockSelect.addEventListener('change', renderTrace);
+if (traceOpSelect) traceOpSelect.addEventListener('change', renderTrace);
+
+if (generateKeys()) encryptMessage();
+
+// End of rsa-demo.js
+
+/* ============================================================
+   END OF RSA TOOLKIT DEMO
+   ============================================================ */
@@ -0,0 +1,336 @@
+/* ============================================================
+   RSA ENGINE (DOM-FREE, BigInt, FOR TEACHING ONLY)
+   ES module used by rsa-demo.js
+   ============================================================ */
+
+// Textbook RSA as in the C++ RSA Cryptography Toolkit: no padding, small keys, no constant-time math.
+// It shows how the pieces fit together; it is NOT safe for real secrets (use Web Crypto for that).
+//
+//   import { generateKeyPair, encodeText, encryptBlocks, decryptBlocks, decodeText } from './rsa-engine.js';
+//   const key = generateKeyPair({ bits: 64 });
+//   const encoded = encodeText('hi', key.n);
+//   const cipher = encryptBlocks(encoded.blocks, key);
+//   decodeText({ ...encoded, blocks: decryptBlocks(cipher, key) }); // 'hi'
+//
+// Every step that the demo visualizes has a trace variant: traceModPow (square-and-multiply)
+// and extendedGcd (the Euclid table behind the private exponent).
+
+// 1. BigInt HELPERS
+
+const DEFAULT_PUBLIC_EXPONENT = 65537n;
+const MIN_KEY_BITS = 16; // n must hold at least one byte per block
+const MAX_KEY_BITS = 1024; // keeps prime searches interactive in the page
+
+function bitLength(n) {
+    return n === 0n ? 0 : n.toString(2).length;
+}
+
+function toBigInt(value, name) {
+    if (typeof value === 'bigint') return value;
+    const text = String(value).trim();
+    if (!/^-?\d+$/.test(text)) throw new TypeError(`${name} must be a whole number`);
+    return BigInt(text);
+}
+
+// random BigInt below 2^bits, from crypto.getRandomValues
+function randomBits(bits) {
+    const bytes = new Uint8Array(Math.ceil(bits / 8));
+    globalThis.crypto.getRandomValues(bytes);
+    let n = 0n;
+    for (const byte of bytes) n = (n << 8n) | BigInt(byte);
+    return n & ((1n << BigInt(bits)) - 1n);
+}
+
+function randomBelow(limit) { // 1 <= r < limit, by rejection so every value is equally likely
+    const bits = bitLength(limit);
+    for (;;) {
+        const r = randomBits(bits);
+        if (r >= 1n && r < limit) return r;
+    }
+}
+
+// 2. FAST MODULAR EXPONENTIATION (SQUARE-AND-MULTIPLY)
+
+/**
+ * base^exponent mod modulus, left to right over the exponent's bits.
+ * @param {bigint} base
+ * @param {bigint} exponent non-negative
+ * @param {bigint} modulus positive
+ * @returns {bigint}
+ */
+function modPow(base, exponent, modulus) {
+    if (modulus === 1n) return 0n;
+    let result = 1n;
+    base %= modulus;
+    if (base < 0n) base += modulus;
+    for (const bit of exponent.toString(2)) {
+        result = (result * result) % modulus;
+        if (bit === '1') result = (result * base) % modulus;
+    }
+    return result;
+}
+
+/**
+ * Same computation as modPow, one row per exponent bit:
+ * { bit, exponentSoFar, squared, result, multiplied } where `multiplied` is true when the bit is 1.
+ * @returns {{ steps: object[], result: bigint }}
+ */
+function traceModPow(base, exponent, modulus) {
+    const steps = [];
+    let result = 1n;
+    let exponentSoFar = 0n;
+    base %= modulus;
+    if (base < 0n) base += modulus;
+    for (const bit of exponent.toString(2)) {
+        const squared = (result * result) % modulus;
+        exponentSoFar *= 2n;
+        result = squared;
+        if (bit === '1') {
+            result = (squared * base) % modulus;
+            exponentSoFar += 1n;
+        }
+        steps.push({ bit, exponentSoFar, squared, result, multiplied: bit === '1' });
+    }
+    return { steps, result: modulus === 1n ? 0n : result };
+}
+
+// 3. EUCLID: gcd, EXTENDED TABLE AND MODULAR INVERSE
+
+function gcd(a, b) {
+    a = a < 0n ? -a : a;
+    b = b < 0n ? -b : b;
+    while (b !== 0n) [a, b] = [b, a % b];
+    return a;
+}
+
+/**
+ * Extended Euclidean algorithm with its full table.
+ * Each row { quotient, remainder, s, t } keeps remainder = s·a + t·b.
+ * @returns {{ gcd: bigint, x: bigint, y: bigint, rows: object[] }} gcd = x·a + y·b
+ */
+function extendedGcd(a, b) {
+    const rows = [
+        { quotient: null, remainder: a, s: 1n, t: 0n },
+        { quotient: null, remainder: b, s: 0n, t: 1n }
+    ];
+    let [prev, curr] = rows;
+    while (curr.remainder !== 0n) {
+        const quotient = prev.remainder / curr.remainder;
+        const next = {
+            quotient,
+            remainder: prev.remainder - quotient * curr.remainder,
+            s: prev.s - quotient * curr.s,
+            t: prev.t - quotient * curr.t
+        };
+        rows.push(next);
+        [prev, curr] = [curr, next];
+    }
+    return { gcd: prev.remainder, x: prev.s, y: prev.t, rows };
+}
+
+/**
+ * a^-1 mod m.
+ * @throws {RangeError} when a and m share a factor
+ */
+function modInverse(a, m) {
+    const { gcd: g, x } = extendedGcd(((a % m) + m) % m, m);
+    if (g !== 1n) throw new RangeError(`${a} has no inverse mod ${m} (gcd is ${g})`);
+    return ((x % m) + m) % m;
+}
+
+// 4. PRIMES (MILLER-RABIN)
+
+const SMALL_PRIMES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n, 41n];
+const EXTRA_ROUNDS = 16; // random bases on top of SMALL_PRIMES for numbers above 3.3e24
+
+/**
+ * Miller-Rabin. Deterministic below 3.3e24 (the SMALL_PRIMES bases), probabilistic above.
+ * @param {bigint} n
+ * @returns {boolean}
+ */
+function isProbablePrime(n) {
+    if (n < 2n) return false;
+    for (const p of SMALL_PRIMES) {
+        if (n === p) return true;
+        if (n % p === 0n) return false;
+    }
+
+    // n - 1 = 2^s · d with d odd
+    let d = n - 1n;
+    let s = 0;
+    while ((d & 1n) === 0n) {
+        d >>= 1n;
+        s++;
+    }
+
+    const bases = SMALL_PRIMES.slice();
+    if (n >= 3317044064679887385961981n) {
+        for (let i = 0; i < EXTRA_ROUNDS; i++) bases.push(2n + randomBelow(n - 3n));
+    }
+
+    nextBase:
+    for (const a of bases) {
+        let x = modPow(a, d, n);
+        if (x === 1n || x === n - 1n) continue;
+        for (let r = 1; r < s; r++) {
+            x = (x * x) % n;
+            if (x === n - 1n) continue nextBase;
+        }
+        return false; // a is a witness: n is composite
+    }
+    return true;
+}
+
+/**
+ * Random prime with exactly `bits` bits.
+ * @returns {{ prime: bigint, candidates: number }} candidates = odd numbers tested before a prime turned up
+ */
+function randomPrime(bits) {
+    let candidates = 0;
+    for (;;) {
+        const candidate = randomBits(bits) | (3n << BigInt(bits - 2)) | 1n; // top two bits set: p·q keeps every bit of the key size
+        candidates++;
+        if (isProbablePrime(candidate)) return { prime: candidate, candidates };
+    }
+}
+
+// 5. KEY GENERATION
+
+function smallestCoprimeExponent(phi) { // tiny keys: 65537 does not fit below phi
+    for (let e = 3n; e < phi; e += 2n) {
+        if (gcd(e, phi) === 1n) return e;
+    }
+    throw new RangeError('φ(n) is too small for any public exponent');
+}
+
+/**
+ * Build a key pair. With `p` and `q` given they are checked instead of generated.
+ * @param {{ bits?: number, e?: bigint|string, p?: bigint|string, q?: bigint|string }} [options]
+ *   bits is the size of n (each prime gets half)
+ * @returns {{ p, q, n, phi, e, d, bits, euclid, primeSearch }}
+ *   euclid is the extendedGcd(phi, e) table that produced d,
+ *   primeSearch is { p, q } candidate counts (null for given primes)
+ * @throws {RangeError|TypeError} for composite or equal primes, bad sizes or an unusable e
+ */
+function generateKeyPair({ bits = 64, e = DEFAULT_PUBLIC_EXPONENT, p = null, q = null } = {}) {
+    let primeSearch = null;
+    if (p != null || q != null) {
+        if (p == null || q == null) throw new TypeError('give both p and q, or neither');
+        p = toBigInt(p, 'p');
+        q = toBigInt(q, 'q');
+        if (!isProbablePrime(p)) throw new RangeError(`p = ${p} is not prime`);
+        if (!isProbablePrime(q)) throw new RangeError(`q = ${q} is not prime`);
+        if (p === q) throw new RangeError('p and q must be different primes');
+        if (p * q < 256n) throw new RangeError('n = p·q must be at least 256 to hold one byte per block');
+    } else {
+        if (!(bits >= MIN_KEY_BITS && bits <= MAX_KEY_BITS)) {
+            throw new RangeError(`key size must be between ${MIN_KEY_BITS} and ${MAX_KEY_BITS} bits`);
+        }
+        const half = Math.ceil(bits / 2);
+        let searchP, searchQ;
+        do {
+            searchP = randomPrime(half);
+            searchQ = randomPrime(bits - half);
+        } while (searchP.prime === searchQ.prime);
+        p = searchP.prime;
+        q = searchQ.prime;
+        primeSearch = { p: searchP.candidates, q: searchQ.candidates };
+    }
+
+    const n = p * q;
+    const phi = (p - 1n) * (q - 1n);
+    e = e == null || e === '' ? DEFAULT_PUBLIC_EXPONENT : toBigInt(e, 'e');
+    if (e === DEFAULT_PUBLIC_EXPONENT && e >= phi) e = smallestCoprimeExponent(phi);
+    if (e < 3n || e >= phi || gcd(e, phi) !== 1n) {
+        throw new RangeError(`e = ${e} must be at least 3, below φ(n) = ${phi} and share no factor with it`);
+    }
+
+    // d = e^-1 mod φ(n), read off the extended Euclid table: t·e ≡ 1 (mod φ)
+    const euclid = extendedGcd(phi, e);
+    const d = ((euclid.y % phi) + phi) % phi;
+
+    return { p, q, n, phi, e, d, bits: bitLength(n), euclid, primeSearch };
+}
+
+// 6. TEXT ENCODING, ENCRYPTION AND DECRYPTION
+
+/**
+ * UTF-8 bytes packed big-endian into blocks that are each smaller than n.
+ * @returns {{ bytes: Uint8Array, blockSize: number, blocks: bigint[] }}
+ */
+function encodeText(text, n) {
+    const blockSize = Math.floor((bitLength(n) - 1) / 8); // bytes per block, so every block < n
+    if (blockSize < 1) throw new RangeError('n is too small to encode text (needs at least 9 bits)');
+    const bytes = new TextEncoder().encode(text);
+    const blocks = [];
+    for (let i = 0; i < bytes.length; i += blockSize) {
+        let block = 0n;
+        for (const byte of bytes.subarray(i, i + blockSize)) block = (block << 8n) | BigInt(byte);
+        blocks.push(block);
+    }
+    return { bytes, blockSize, blocks };
+}
+
+/**
+ * Inverse of encodeText. Blocks are unpacked to blockSize bytes, the last one to whatever is left of byteLength.
+ * @param {{ blocks: bigint[], blockSize: number, bytes?: Uint8Array, byteLength?: number }} encoded
+ * @returns {string}
+ * @throws {RangeError} when a block does not fit its byte count (wrong key or edited ciphertext)
+ */
+function decodeText({ blocks, blockSize, bytes = null, byteLength = bytes ? bytes.length : blocks.length * blockSize }) {
+    const out = new Uint8Array(byteLength);
+    blocks.forEach((block, index) => {
+        const start = index * blockSize;
+        const size = Math.min(blockSize, byteLength - start);
+        if (size <= 0 || block >> BigInt(size * 8) !== 0n) {
+            throw new RangeError(`block ${index + 1} does not fit in ${Math.max(size, 0)} bytes (wrong key or edited ciphertext)`);
+        }
+        for (let i = size - 1; i >= 0; i--) {
+            out[start + i] = Number(block & 0xffn);
+            block >>= 8n;
+        }
+    });
+    return new TextDecoder('utf-8', { fatal: false }).decode(out);
+}
+
+function encryptBlocks(blocks, { e, n }) {
+    return blocks.map(m => {
+        if (m >= n) throw new RangeError(`block ${m} is not smaller than n`);
+        return modPow(m, e, n);
+    });
+}
+
+function decryptBlocks(blocks, { d, n }) {
+    return blocks.map(c => modPow(c, d, n));
+}
+
+// 7. PUBLIC API
+
+export {
+    DEFAULT_PUBLIC_EXPONENT,
+    MIN_KEY_BITS,
+    MAX_KEY_BITS,
+    bitLength,
+
+    // number theory
+    modPow,
+    traceModPow,
+    gcd,
+    extendedGcd,
+    modInverse,
+    isProbablePrime,
+    randomPrime,
+
+    // RSA
+    generateKeyPair,
+    encodeText,
+    decodeText,
+    encryptBlocks,
+    decryptBlocks
+};
+
+// End of rsa-engine.js
+
+/* ============================================================
+   END OF RSA ENGINE
+   ============================================================ */
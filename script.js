@@ -1,8 +1,10 @@
 // theme + animations script
 
-// --- Theme toggle with localStorage persistence ---
-const body = document.body;
-const themeToggleButtons = document.querySelectorAll('#theme-toggle');
+import { track } from './analytics.js'; // consent, batching and offline queue live there
+import './theme.js'; // light / dark / system modes, palettes and accent colour (sets itself up)
+import { initGallery } from './gallery.js';
+import { initAnimations } from './motion.js'; // effects, stagger and the reduced-motion setting
+
 const YEAR_IDS = ['year', 'year-2', 'year-3'];
 
 // set initial year(s)
@@ -16,55 +18,7 @@ function setYears(){
 
 setYears();
 
-// load saved theme from localStorage
-function applyTheme(theme) { // 'light' or 'dark'
-    if(theme === 'light') {
-        body.classList.add('light');
-    } else {
-        body.classList.remove('light'); // default to dark
-    }
-}
-
-// retrieve stored theme preference
-function getStoredTheme() { // returns 'light', 'dark', or null
-    try {
-        return localStorage.getItem('theme');
-    } catch(e) {
-        return null;
-    }
-}
-
-// store theme preference
-function storeTheme(theme) {
-    try { localStorage.setItem('theme', theme); } catch(e) {}
-}
-
-// toggle theme and update localStorage
-function toggleTheme() {
-    const current = getStoredTheme() || (body.classList.contains('light') ? 'light' : 'dark');
-    const next = current === 'light' ? 'dark' : 'light';
-    applyTheme(next);
-    storeTheme(next);
-}
-
-// initialize theme from storage or system preference
-(function initTheme(){
-    const stored = getStoredTheme();
-    if(stored) {
-        applyTheme(stored);
-    } else {
-        // default to system preference
-        const prefersLight = window.matchMedia && window.matchMedia('(prefers-color-scheme: light)').matches;
-        applyTheme(prefersLight ? 'light' : 'dark');
-    }
-})();
-
-// attach event listeners to all theme toggle buttons (header present on multiple pages)
 document.addEventListener('DOMContentLoaded', () => {
-    document.querySelectorAll('#theme-toggle').forEach(btn => {
-        btn.addEventListener('click', toggleTheme);
-    });
-
     // Dynamic daily greeting
     const greetingEl = document.getElementById("daily-greeting");
     if(greetingEl) {
@@ -73,22 +27,8 @@ document.addEventListener('DOMContentLoaded', () => {
         greetingEl.textContent = `Happy ${days[today.getDay()]}!`;
     }
 
-    // IntersectionObserver for scroll animations
-    const animateEls = document.querySelectorAll('[data-animate]');
-    if('IntersectionObserver' in window) {
-        const io = new IntersectionObserver((entries, obs) => {
-            entries.forEach(entry => {
-                if(entry.isIntersecting) {
-                    entry.target.classList.add('in-view');
-                    obs.unobserve(entry.target);
-                }
-            });
-        }, { threshold: 0.12});
-        animateEls.forEach(el => io.observe(el));
-    } else {
-        // fallback: just add all
-        animateEls.forEach(el => el.classList.add('in-view'));
-    }
+    // scroll-in effects for [data-animate] (motion.js: named effects, timing, reduced motion)
+    initAnimations();
 
     // small: add hover focus styles for keyboard users
     document.querySelectorAll('.project-card, .btn').forEach(el => {
@@ -97,29 +37,8 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
-    // lightbox functionality for project images
-    const lightbox = document.getElementById('lightbox');
-    const lightboxImg = document.querySelector('.lightbox-img');
-    const closeBtn = document.querySelector('.lightbox-close');
-
-    // open lightbox on image click
-    document.querySelectorAll('.personal-photos img').forEach(img => {
-        img.addEventListener('click', () => {
-            lightbox.style.display = 'flex';
-            lightboxImg.src = img.src;
-            lightboxImg.alt = img.alt;
-        });
-    });
-
-    // close button
-    closeBtn.addEventListener('click', () => {
-        lightbox.style.display = 'none';
-    });
-
-    // click outside image closes
-    lightbox.addEventListener('click', (e) => {
-        if (e.target === lightbox) lightbox.style.display = 'none';
-    });
+    // photo gallery (about page): does nothing on pages without #lightbox
+    initGallery();
     
 });
 
@@ -153,21 +72,84 @@ document.addEventListener("click", (e) => {
 // Tracking Resume Button Click
 document.querySelectorAll('a[href="zeke-resume.pdf"]').forEach(btn => {
     btn.addEventListener("click", () => {
-        gtag('event', 'resume_click', {
+        track('resume_click', {
             event_category: 'engagement',
             event_label: 'Resume PDF'
         });
     });
 });
 
-// Tracking GitHub Repo Clicks
-document.querySelectorAll('a[href*="github.com"]').forEach(link => {
-    link.addEventListener("click", () => {
-        gtag('event', 'github_repo_click', {
-            event_category: 'engagement',
-            event_label: link.href
-        });
+// Tracking GitHub Repo Clicks (delegated: project cards are rendered after load)
+document.addEventListener("click", (e) => {
+    const link = e.target.closest('a[href*="github.com"]');
+    if (!link) return;
+    track('github_repo_click', {
+        event_category: 'engagement',
+        event_label: link.href
     });
 });
 
+// Offline support: sw.js caches the site (see its header for the strategies)
+// a small status pill says when the page runs offline or a new deploy is waiting
+function showSiteStatus(kind, message, action = null) {
+    let pill = document.getElementById('site-status');
+    if (!message) {
+        if (pill && pill.dataset.kind === kind) pill.remove();
+        return;
+    }
+    if (pill && pill.dataset.kind === 'update' && kind !== 'update') return; // the update prompt wins
+    if (!pill) {
+        pill = document.createElement('div');
+        pill.id = 'site-status';
+        pill.className = 'site-status';
+        pill.setAttribute('role', 'status');
+        document.body.appendChild(pill);
+    }
+    pill.dataset.kind = kind;
+    pill.textContent = message;
+    if (action) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn';
+        btn.textContent = action.label;
+        btn.addEventListener('click', action.run);
+        pill.appendChild(btn);
+    }
+}
+
+function updateOnlineStatus() {
+    showSiteStatus('offline', navigator.onLine === false ? 'Offline: showing saved pages.' : '');
+}
+
+window.addEventListener('online', updateOnlineStatus);
+window.addEventListener('offline', updateOnlineStatus);
+updateOnlineStatus();
+
+function offerUpdate(worker) {
+    showSiteStatus('update', 'A new version of the site is available.', {
+        label: 'Reload',
+        run: () => worker.postMessage({ type: 'SKIP_WAITING' }) // reloads on controllerchange below
+    });
+}
+
+if ('serviceWorker' in navigator) {
+    const hadController = !!navigator.serviceWorker.controller; // first visit: nothing to update
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (hadController) window.location.reload();
+    });
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) offerUpdate(registration.waiting);
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+                });
+            });
+        }).catch(err => console.warn('script.js: service worker registration failed', err));
+    });
+}
+
 // end of theme + animations script
\ No newline at end of file
@@ -0,0 +1,149 @@
+/* ============================================================
+   SERVICE WORKER: OFFLINE SITE SHELL AND IMAGE CACHE
+   Registered by script.js on every page
+   ============================================================ */
+
+// Bump CACHE_VERSION on every deploy that changes a file below: the browser's update check
+// sees a changed sw.js, the new worker precaches the new copies, script.js shows "Update
+// available", and activation deletes the old caches.
+//
+//   site shell (pages, css, js, json, pdf)  cache first, precached on install (works offline)
+//   images                                  stale-while-revalidate (cached copy now, fresh one next time)
+//   anything else from this origin          network first, cached copy when offline
+
+const CACHE_VERSION = 'v3';
+const CACHE_PREFIX = 'zeke-site-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = `${CACHE_PREFIX}images-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-${CACHE_VERSION}`;
+
+// 1. SITE SHELL
+
+const SHELL_URLS = [
+    './',
+    'index.html',
+    'projects.html',
+    'about.html',
+    'trie-demo.html',
+    'rsa-demo.html',
+    'algo-demo.html',
+    'style.css',
+    'script.js',
+    'analytics.js',
+    'theme.js',
+    'gallery.js',
+    'motion.js',
+    'projects.js',
+    'projects.json',
+    'demo-ui.js',
+    'trie-demo.js',
+    'trie-engine.js',
+    'trie-worker.js', // the trie demo's Web Worker, needed offline for large word lists
+    'rsa-demo.js',
+    'rsa-engine.js',
+    'algo-demo.js',
+    'algo-engine.js',
+    'zeke-resume.pdf'
+];
+
+// every image the pages show, so the gallery and project cards work offline too
+const IMAGE_URLS = [
+    'assets/profile.jpg',
+    'assets/techphoto.jpg',
+    'assets/rsa.jpg',
+    'assets/trie.jpg',
+    'assets/algorithm.jpg',
+    'assets/menu.jpg',
+    'assets/travel.jpg',
+    'assets/cooking.jpg',
+    'assets/hiking.jpg',
+    'assets/cycling.jpg'
+];
+
+// 2. INSTALL AND ACTIVATE
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        // cache: 'reload' skips the HTTP cache, so a deploy never precaches yesterday's file
+        await shell.addAll(SHELL_URLS.map(url => new Request(url, { cache: 'reload' })));
+        const images = await caches.open(IMAGE_CACHE);
+        await Promise.all(IMAGE_URLS.map(url => images.add(url).catch(() => {}))); // a missing photo must not block install
+    })());
+    // no skipWaiting here: the page asks first ("Update available"), see the message handler
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = [SHELL_CACHE, IMAGE_CACHE, RUNTIME_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// 3. FETCH STRATEGIES
+
+function isImage(request, url) {
+    return request.destination === 'image' || /\.(png|jpe?g|gif|webp|svg|ico)$/i.test(url.pathname);
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { cacheName: SHELL_CACHE, ignoreSearch: true }); // ?q=… URLs share a page
+    if (cached) return cached;
+    return networkFirst(request);
+}
+
+async function staleWhileRevalidate(request, event) {
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(request);
+    const refresh = fetch(request).then(response => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    }).catch(() => cached);
+    if (cached) {
+        event.waitUntil(refresh); // keep the worker alive until the fresh copy is stored
+        return cached;
+    }
+    return refresh.then(response => response || Response.error());
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        if (request.mode === 'navigate') { // unknown page while offline: the home page beats an error
+            const home = await caches.match('index.html', { cacheName: SHELL_CACHE });
+            if (home) return home;
+        }
+        throw err;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return; // analytics and other hosts go straight to the network
+
+    if (isImage(request, url)) {
+        event.respondWith(staleWhileRevalidate(request, event));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/* ============================================================
+   END OF SERVICE WORKER
+   ============================================================ */
@@ -0,0 +1,320 @@
+/* ============================================================
+   THEME ENGINE: MODES, PALETTES, ACCENT COLOUR, CROSS-TAB SYNC
+   ES module imported by script.js on every page
+   ============================================================ */
+
+// Settings (each in its own localStorage key, so the `storage` event tells other tabs what changed):
+//   theme          'dark', 'light' or 'system' (follows prefers-color-scheme, live)
+//   theme-palette  name from PALETTES ('default' uses the variables in style.css)
+//   theme-accent   '#rrggbb' picked by the user, '' for the palette's own accent
+// Palettes and the accent are written as CSS variables on <html>, where getAccentColor()
+// in demo-ui.js reads --accent. Every change fires a `themechange` event on document.
+// The panel also holds the Motion setting, which motion.js stores and applies.
+
+import { MOTION_SETTINGS, getMotionSetting, setMotionSetting } from './motion.js';
+
+// 1. PALETTES
+
+const THEME_STORAGE_KEY = 'theme'; // same key the old light/dark toggle used
+const PALETTE_STORAGE_KEY = 'theme-palette';
+const ACCENT_STORAGE_KEY = 'theme-accent';
+const THEME_MODES = ['system', 'dark', 'light'];
+
+const MIN_TEXT_CONTRAST = 4.5; // WCAG AA for body text
+const MIN_ACCENT_CONTRAST = 3; // WCAG AA for large text and UI parts (links, highlights, outlines)
+
+// base text colours from style.css, used when a palette's text would be unreadable
+const BASE_TEXT = { dark: '#e6eef8', light: '#0b1220' };
+const BASE_BG = { dark: '#0f1724', light: '#f6f8fb' };
+
+const PALETTES = {
+    default: { label: 'Default blue', dark: {}, light: {} },
+    ocean: {
+        label: 'Ocean',
+        dark: { '--bg': '#0b1d2a', '--bg-end': '#04121c', '--card': '#0f2535', '--card-bg': '#0f2535', '--text': '#e3f2fb', '--muted': '#8fb3c9', '--accent': '#22b8cf' },
+        light: { '--bg': '#eef7fb', '--card': '#ffffff', '--card-bg': '#ffffff', '--text': '#0b2233', '--muted': '#4b6878', '--accent': '#0b7285' }
+    },
+    forest: {
+        label: 'Forest',
+        dark: { '--bg': '#0f1a14', '--bg-end': '#07110b', '--card': '#142219', '--card-bg': '#142219', '--text': '#e6f4ea', '--muted': '#9bb8a4', '--accent': '#40c057' },
+        light: { '--bg': '#f3f8f4', '--card': '#ffffff', '--card-bg': '#ffffff', '--text': '#10261a', '--muted': '#51685a', '--accent': '#2b8a3e' }
+    },
+    sunset: {
+        label: 'Sunset',
+        dark: { '--bg': '#1d1020', '--bg-end': '#120814', '--card': '#26152b', '--card-bg': '#26152b', '--text': '#fbeef5', '--muted': '#c7a3b8', '--accent': '#ff8a5b' },
+        light: { '--bg': '#fff6f0', '--card': '#ffffff', '--card-bg': '#ffffff', '--text': '#2b1320', '--muted': '#7a5566', '--accent': '#d9480f' }
+    },
+    contrast: {
+        label: 'High contrast',
+        dark: { '--bg': '#000000', '--bg-end': '#000000', '--card': '#000000', '--card-bg': '#000000', '--text': '#ffffff', '--muted': '#d0d0d0', '--accent': '#ffd60a', '--card-border': '#ffffff' },
+        light: { '--bg': '#ffffff', '--card': '#ffffff', '--card-bg': '#ffffff', '--text': '#000000', '--muted': '#333333', '--accent': '#0040c0', '--card-border': '#000000' }
+    }
+};
+
+const PALETTE_VARIABLES = ['--bg', '--bg-end', '--card', '--card-bg', '--text', '--muted', '--accent', '--card-border'];
+
+// 2. CONTRAST (WCAG 2 relative luminance)
+
+function parseHexColor(hex) { // '#abc' or '#aabbcc' -> [r, g, b], null otherwise
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex).trim());
+    if (!match) return null;
+    const digits = match[1].length === 3 ? match[1].replace(/./g, d => d + d) : match[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+}
+
+function toHexColor(rgb) {
+    return '#' + rgb.map(v => Math.round(Math.min(255, Math.max(0, v))).toString(16).padStart(2, '0')).join('');
+}
+
+function relativeLuminance(rgb) {
+    const [r, g, b] = rgb.map(v => {
+        const c = v / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(a, b) { // 1 (same colour) .. 21 (black on white)
+    const la = relativeLuminance(parseHexColor(a));
+    const lb = relativeLuminance(parseHexColor(b));
+    return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+// mix toward white (dark backgrounds) or black (light ones) until the colour reaches `minimum`
+function ensureContrast(color, background, minimum) {
+    if (contrastRatio(color, background) >= minimum) return color;
+    const target = relativeLuminance(parseHexColor(background)) < 0.5 ? [255, 255, 255] : [0, 0, 0];
+    const rgb = parseHexColor(color);
+    for (let step = 1; step <= 10; step++) {
+        const mixed = toHexColor(rgb.map((v, i) => v + (target[i] - v) * step / 10));
+        if (contrastRatio(mixed, background) >= minimum) return mixed;
+    }
+    return toHexColor(target);
+}
+
+// 3. SETTINGS AND STORAGE
+
+// retrieve stored preferences, same safety as before: storage may be blocked
+function readSetting(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch(e) {
+        return null;
+    }
+}
+
+function storeSetting(key, value) {
+    try {
+        if (value) localStorage.setItem(key, value);
+        else localStorage.removeItem(key);
+    } catch(e) {}
+}
+
+function getThemeSettings() {
+    const mode = readSetting(THEME_STORAGE_KEY);
+    const palette = readSetting(PALETTE_STORAGE_KEY);
+    const accent = readSetting(ACCENT_STORAGE_KEY);
+    return {
+        mode: THEME_MODES.includes(mode) ? mode : 'system', // no choice yet: follow the system
+        palette: PALETTES[palette] ? palette : 'default',
+        accent: parseHexColor(accent) ? accent : ''
+    };
+}
+
+const systemLightQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+
+function resolvedMode(mode) { // 'system' -> 'light' or 'dark' right now
+    if (mode !== 'system') return mode;
+    return systemLightQuery && systemLightQuery.matches ? 'light' : 'dark';
+}
+
+// 4. APPLYING A THEME
+
+let themeNotes = []; // contrast adjustments of the last applyTheme(), shown in the theme panel
+
+function applyTheme(settings = getThemeSettings()) {
+    const mode = resolvedMode(settings.mode);
+    const root = document.documentElement;
+    const vars = { ...PALETTES[settings.palette][mode] };
+    const background = vars['--bg'] || BASE_BG[mode];
+    themeNotes = [];
+
+    // light class on <html> carries the light variables, on <body> the light-only rules
+    root.classList.toggle('light', mode === 'light');
+    document.body.classList.toggle('light', mode === 'light');
+    root.dataset.theme = settings.mode;
+    root.dataset.palette = settings.palette;
+
+    if (vars['--text'] && contrastRatio(vars['--text'], background) < MIN_TEXT_CONTRAST) {
+        vars['--text'] = BASE_TEXT[mode];
+        themeNotes.push('Palette text was too faint on its background, using the default text colour.');
+    }
+
+    if (settings.accent) {
+        const readable = ensureContrast(settings.accent, background, MIN_ACCENT_CONTRAST);
+        if (readable !== settings.accent.toLowerCase()) {
+            themeNotes.push(`Accent ${settings.accent} has ${contrastRatio(settings.accent, background).toFixed(1)}:1 contrast here, shown as ${readable} (${contrastRatio(readable, background).toFixed(1)}:1).`);
+        }
+        vars['--accent'] = readable;
+    }
+
+    PALETTE_VARIABLES.forEach(name => {
+        if (vars[name]) root.style.setProperty(name, vars[name]);
+        else root.style.removeProperty(name); // back to style.css
+    });
+
+    document.querySelectorAll('#theme-toggle').forEach(btn => {
+        btn.setAttribute('aria-label', `Switch to ${mode === 'light' ? 'dark' : 'light'} theme`);
+    });
+    updateThemePanel(settings);
+    document.dispatchEvent(new CustomEvent('themechange', { detail: { ...settings, resolved: mode } }));
+}
+
+function setThemeMode(mode) {
+    storeSetting(THEME_STORAGE_KEY, THEME_MODES.includes(mode) ? mode : 'system');
+    applyTheme();
+}
+
+function setPalette(name) {
+    storeSetting(PALETTE_STORAGE_KEY, PALETTES[name] && name !== 'default' ? name : '');
+    applyTheme();
+}
+
+function setAccent(color) { // '' resets to the palette's accent
+    storeSetting(ACCENT_STORAGE_KEY, parseHexColor(color) ? color : '');
+    applyTheme();
+}
+
+// toggle theme (the 🌗 button): flips what is showing now, which leaves system mode
+function toggleTheme() {
+    setThemeMode(resolvedMode(getThemeSettings().mode) === 'light' ? 'dark' : 'light');
+}
+
+// 5. THEME PANEL (mode, palette, accent picker, motion), added next to every #theme-toggle
+
+const MOTION_LABELS = { system: 'Follow system', reduce: 'Reduced', full: 'Full' };
+
+function buildThemePanel(toggle) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'theme-settings';
+
+    const open = document.createElement('button');
+    open.type = 'button';
+    open.className = 'theme-btn';
+    open.textContent = '🎨';
+    open.setAttribute('aria-label', 'Theme settings');
+    open.setAttribute('aria-expanded', 'false');
+    open.setAttribute('aria-controls', 'theme-panel');
+
+    const panel = document.createElement('div');
+    panel.id = 'theme-panel';
+    panel.className = 'theme-panel';
+    panel.hidden = true;
+    panel.innerHTML = `
+        <label>Mode
+            <select data-theme-setting="mode">
+                <option value="system">Follow system</option>
+                <option value="dark">Dark</option>
+                <option value="light">Light</option>
+            </select>
+        </label>
+        <label>Palette
+            <select data-theme-setting="palette">
+                ${Object.keys(PALETTES).map(name => `<option value="${name}">${PALETTES[name].label}</option>`).join('')}
+            </select>
+        </label>
+        <label>Accent
+            <input type="color" data-theme-setting="accent" />
+        </label>
+        <button type="button" class="btn secondary" data-theme-setting="reset-accent">Palette accent</button>
+        <label>Motion
+            <select data-theme-setting="motion">
+                ${MOTION_SETTINGS.map(name => `<option value="${name}">${MOTION_LABELS[name]}</option>`).join('')}
+            </select>
+        </label>
+        <p class="theme-status" aria-live="polite"></p>`;
+
+    panel.querySelector('[data-theme-setting="mode"]').addEventListener('change', e => setThemeMode(e.target.value));
+    panel.querySelector('[data-theme-setting="palette"]').addEventListener('change', e => setPalette(e.target.value));
+    panel.querySelector('[data-theme-setting="accent"]').addEventListener('input', e => setAccent(e.target.value));
+    panel.querySelector('[data-theme-setting="reset-accent"]').addEventListener('click', () => setAccent(''));
+    panel.querySelector('[data-theme-setting="motion"]').addEventListener('change', e => setMotionSetting(e.target.value));
+    panel.querySelector('[data-theme-setting="motion"]').value = getMotionSetting();
+    document.addEventListener('motionchange', e => { // another tab or the system preference changed it
+        panel.querySelector('[data-theme-setting="motion"]').value = e.detail.setting;
+    });
+
+    const setOpen = (isOpen) => {
+        panel.hidden = !isOpen;
+        open.setAttribute('aria-expanded', String(isOpen));
+    };
+    open.addEventListener('click', (e) => {
+        e.stopPropagation(); // the mobile menu closes on outside clicks
+        setOpen(panel.hidden);
+    });
+    panel.addEventListener('click', e => e.stopPropagation());
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            setOpen(false);
+            open.focus();
+        }
+    });
+    document.addEventListener('click', () => setOpen(false));
+
+    wrapper.append(open, panel);
+    toggle.insertAdjacentElement('afterend', wrapper);
+}
+
+function updateThemePanel(settings) {
+    const panel = document.getElementById('theme-panel');
+    if (!panel) return;
+    panel.querySelector('[data-theme-setting="mode"]').value = settings.mode;
+    panel.querySelector('[data-theme-setting="palette"]').value = settings.palette;
+    const accent = getComputedStyle(document.documentElement).getPropertyValue('--accent').trim();
+    panel.querySelector('[data-theme-setting="accent"]').value = settings.accent || (parseHexColor(accent) ? toHexColor(parseHexColor(accent)) : '#0b60ff');
+
+    const resolved = resolvedMode(settings.mode);
+    const status = settings.mode === 'system' ? `Following the system (${resolved} right now).` : '';
+    panel.querySelector('.theme-status').textContent = [status, ...themeNotes].filter(Boolean).join(' ');
+}
+
+// 6. STARTUP, SYSTEM CHANGES AND OTHER TABS
+
+function initTheme() {
+    const toggle = document.getElementById('theme-toggle');
+    if (toggle) {
+        toggle.addEventListener('click', toggleTheme);
+        buildThemePanel(toggle);
+    }
+    applyTheme();
+
+    if (systemLightQuery) { // only matters in system mode, applyTheme re-reads the query
+        const onSystemChange = () => {
+            if (getThemeSettings().mode === 'system') applyTheme();
+        };
+        if (systemLightQuery.addEventListener) systemLightQuery.addEventListener('change', onSystemChange);
+        else if (systemLightQuery.addListener) systemLightQuery.addListener(onSystemChange); // older Safari
+    }
+
+    // another tab changed a setting: localStorage is shared, so just re-apply
+    window.addEventListener('storage', (e) => {
+        if (e.key === null || [THEME_STORAGE_KEY, PALETTE_STORAGE_KEY, ACCENT_STORAGE_KEY].includes(e.key)) applyTheme();
+    });
+}
+
+initTheme();
+
+export {
+    PALETTES,
+    getThemeSettings,
+    applyTheme,
+    setThemeMode,
+    setPalette,
+    setAccent,
+    toggleTheme,
+    contrastRatio
+};
+
+/* ============================================================
+   END OF THEME ENGINE
+   ============================================================ */
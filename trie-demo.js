@@ -2,115 +2,37 @@
    TRIE AUTOCOMPLETE DEMO WITH SVG VISUALIZATION
    ============================================================ */
 
-// 1. TRIE DATA STRUCTURES AND METHODS
-
-class TrieNode { // represents each node in the trie
-    constructor() {
-        this.children = {};
-        this.isEnd = false;
-        this.freq = 0; // frequency for weighted suggestions
-        this.weight = 0; // cumulative weight for subtree
-        this.path = ''; // path set during insert
-    }
-}
-
-class Trie { // main trie structure
-    constructor() {
-        this.root = new TrieNode();
-    }
-
-    insert(word, frequency = 1) { // insert word with optional frequency
-        let node = this.root;
-        let path = "";
-        for (let char of word.toLowerCase()) {
-            path += char;
-            if (!node.children[char]) {
-                node.children[char] = new TrieNode();
-                node.children[char].path = path; // store path fragment for tooltip/help
-            }
-            node = node.children[char];
-        }
-        node.isEnd = true;
-        node.freq += frequency;
-        node.path = word; // full word at end node
-    }
-
-    autocomplete(prefix) { // return list of words with given prefix
-        prefix = prefix.toLowerCase();
-        let node = this.root;
-
-        for (let char of prefix) {
-            if (!node.children[char]) return [];
-            node = node.children[char];
-        }
-
-        return this._collect(node, prefix) // gather words from this node
-            .sort((a, b) => {
-                const aw = (a.freq + (a.weight || 0));
-                const bw = (b.freq + (b.weight || 0));
-                if (bw !== aw) return bw - aw; // weighted frequency
-                return a.word.localeCompare(b.word); // alphabetical
-            })
-            .map(x => x.word);
-    }
-
-    _collect(node, prefix) { // helper to collect words from a given node
-        let results = [];
-
-        if (node.isEnd) results.push({ word: prefix, freq: node.freq, weight: node.weight });
-
-        for (let char in node.children) {
-            results.push(...this._collect(node.children[char], prefix + char));
-        }
-
-        return results;
-    }
-
-    // get node directly (for highlighting)
-    getNode(word) {
-        let node = this.root;
-        for (let char of word.toLowerCase()) {
-            if (!node.children[char]) return null;
-            node = node.children[char];
-        }
-        return node;
-    }
-}
-
-// 2. HELPER: GET WORD FROM ROOT TO NODE (FOR TOOLTIP)
-// keeping this simple by implementing DFS search
-// but big tries may need parent pointers for efficiency and avoid nodes overlapping
-// and horizontal overflow explosion
-// Not critical for demo performance
-
-function getWordFromNode(targetNode, root) { // DFS to find path from root to targetNode
-    let word = '';
-    let found = false;
-
-    function dfs(node, path) { // depth-first search
-        if (found) return;
-
-        if (node === targetNode) {
-            word = path;
-            found = true;
-            return;
-        }
-
-        for (let key in node.children) { // explore children
-            dfs(node.children[key], path + key);
-            if (found) return;
-        }
+// 1. ENGINE IMPORTS
+// Trie, RadixTrie, Dawg and their helpers (getWordFromNode for tooltips included) live in the
+// DOM-free trie-engine.js module, so the same code runs inside trie-worker.js for large
+// dictionaries (and under Node)
+
+import {
+    keyOptionsFrom, splitGraphemes,
+    Trie, RadixTrie, Dawg, SuffixTrie, structureStats, getWordFromNode,
+    alignFuzzyMatch, PATTERN_WILDCARDS, isPatternQuery, toPatternQuery, patternSearch, alignPatternMatch,
+    NgramModel, tokenizePhrases, countTerms, encodeWordList, decodeWordList,
+    TRIE_PSEUDOCODE, traceInsert, traceSearch, traceAutocomplete
+} from './trie-engine.js';
+import { track } from './analytics.js';
+import { getAccentColor, svgNS, createPlayback } from './demo-ui.js';
+import { prefersReducedMotion } from './motion.js'; // no pops, pulses or fades when motion is reduced
+
+// 2. INITIALIZE TRIE WITH SAMPLE WORDS
+
+const KEY_OPTIONS_STORAGE_KEY = 'trie-keys'; // normalization settings (section 15)
+
+// stored key options, same safety as getStoredTheme (storage may be blocked)
+function getStoredKeyOptions() {
+    try {
+        const raw = localStorage.getItem(KEY_OPTIONS_STORAGE_KEY);
+        return keyOptionsFrom(raw ? JSON.parse(raw) : null);
+    } catch(e) {
+        return keyOptionsFrom(null);
     }
-
-    dfs(root, '');
-    return word;
 }
 
-// 3. INITIALIZE TRIE WITH SAMPLE WORDS
-
-const trie = new Trie();
-
-// ensure edgeElements exists (used in draw function)
+let trie = new Trie(getStoredKeyOptions()); // replaced wholesale when a snapshot is imported
 
 // Sample words with varying frequencies
 const words = [
@@ -148,254 +70,770 @@ const words = [
     "zebra", "zenith", "zephyr"
 ];
 
-words.forEach(w => trie.insert(w)); // equal frequency for simplicity
+words.forEach(w => trie.insert(w)); // equal frequency, build from a corpus (section 19) for real counts
 
-// 4. AUTOCOMPLETE UI LOGIC
+// 3. AUTOCOMPLETE UI LOGIC
 
 const input = document.getElementById('trie-input');
 const suggestions = document.getElementById('suggestions');
+const matchModeSelect = document.getElementById('match-mode'); // exact, fuzzy (1-2 edits) or pattern modes
+
+let lastExplored = null; // nodes visited by the last fuzzy query (for SVG highlighting)
+let lastPatternMatches = null; // words matched by the last wildcard / suffix / substring query (all paths highlighted)
+let patternIndex = null; // suffix trie over the sample words, rebuilt lazily after edits
+
+const PATTERN_RESULT_LIMIT = 50; // pattern queries list more than the 10 prefix suggestions
+
+// WAI-ARIA combobox: the input owns the listbox, the active option is announced through
+// aria-activedescendant while focus stays in the input
+const suggestionsStatus = document.getElementById('suggestions-status'); // live region for result counts
+let selectedIndex = -1; // active option, -1 when none (reset on every render)
 
 if (!input) {
     // if demo page is missing input, avoid script errors
     console.warn('trie-demo.js: #trie-input not found in DOM - autocomplete UI will be inactive.');
 }
 
+function getMaxEdits() { // 0 means exact prefix matching
+    const value = matchModeSelect ? parseInt(matchModeSelect.value, 10) : 0;
+    return Number.isFinite(value) ? Math.min(Math.max(value, 0), 2) : 0;
+}
+
+// pattern string for the current mode, or null for plain prefix / fuzzy lookups
+// (typing ? or * in exact mode switches to pattern matching on its own)
+function getPatternQuery(query) {
+    const mode = matchModeSelect ? matchModeSelect.value : '0';
+    if (mode === 'pattern' || mode === 'suffix' || mode === 'contains') return toPatternQuery(mode, query);
+    if (getMaxEdits() === 0 && isPatternQuery(query)) return query;
+    return null;
+}
+
+function getPatternIndex() {
+    if (!patternIndex) patternIndex = SuffixTrie.fromTrie(trie);
+    return patternIndex;
+}
+
+// literal part of a pattern before its first wildcard, the diagram folds around it
+function patternFocusPrefix(pattern) {
+    return pattern.split(PATTERN_WILDCARDS)[0];
+}
+
+// "machine le" -> { lead: 'machine ', context: ['machine'], partial: 'le' }, null for a single word
+// (a trailing space leaves partial empty: predict the next word, see section 18)
+function phraseParts(text) {
+    const value = text.replace(/^\s+/, '');
+    const parts = value.split(/\s+/);
+    if (parts.length < 2) return null;
+    const partial = parts[parts.length - 1];
+    const lead = value.slice(0, value.length - partial.length);
+    const sentences = tokenizePhrases(lead);
+    return { lead, context: /[.!?;:]\s*$/.test(lead) ? [] : sentences[sentences.length - 1] || [], partial };
+}
+
+// the word of a phrase the diagram follows (the one being typed or picked)
+function phraseTail(text) {
+    const parts = text.trim().split(/\s+/);
+    return parts[parts.length - 1];
+}
+
+// build suggestion label: typed part in bold, characters that differ from the query marked
+// (pattern matches bold the characters the literal parts of the pattern matched)
+function renderSuggestionLabel(li, word, query, fuzzy, pattern = null) {
+    if (pattern) {
+        const marks = alignPatternMatch(pattern, word, trie.keyOptions);
+        let strong = null;
+        splitGraphemes(word).forEach((char, i) => {
+            if (!marks[i]) {
+                strong = null;
+                li.appendChild(document.createTextNode(char));
+                return;
+            }
+            if (!strong) strong = li.appendChild(document.createElement('strong'));
+            strong.textContent += char;
+        });
+        return;
+    }
+
+    // count graphemes, not code units: the word keeps its own spelling ("Café" for "caf")
+    const chars = splitGraphemes(word);
+
+    if (!fuzzy) {
+        const typed = splitGraphemes(trie.keyOf(query)).length;
+        const strong = document.createElement('strong');
+        strong.textContent = chars.slice(0, typed).join('');
+        li.appendChild(strong);
+        li.appendChild(document.createTextNode(chars.slice(typed).join('')));
+        return;
+    }
+
+    const { matchedLength, marks } = alignFuzzyMatch(query, word, trie.keyOptions);
+    const strong = document.createElement('strong');
+
+    for (let i = 0; i < matchedLength; i++) {
+        if (marks[i]) {
+            const mark = document.createElement('mark');
+            mark.className = 'fuzzy-diff';
+            mark.textContent = chars[i] || '';
+            strong.appendChild(mark);
+        } else {
+            strong.appendChild(document.createTextNode(chars[i] || ''));
+        }
+    }
+
+    li.appendChild(strong);
+    li.appendChild(document.createTextNode(chars.slice(matchedLength).join('')));
+}
+
+function announceSuggestions(message) {
+    if (suggestionsStatus) suggestionsStatus.textContent = message;
+}
+
+function closeSuggestions() {
+    suggestions.innerHTML = "";
+    selectedIndex = -1;
+    if (input) {
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    }
+}
+
+function suggestionOptions() { // selectable options (the "no matches" row is not one)
+    return Array.from(suggestions.querySelectorAll('li[role="option"]:not([aria-disabled="true"])'));
+}
+
+// move the active option (wraps around) and keep the diagram on the same word
+function setActiveOption(index) {
+    const items = suggestionOptions();
+    selectedIndex = items.length ? (index + items.length) % items.length : -1;
+
+    items.forEach((item, i) => {
+        const active = i === selectedIndex;
+        item.classList.toggle("active", active);
+        item.setAttribute('aria-selected', String(active));
+    });
+
+    const activeItem = items[selectedIndex];
+    if (!activeItem) {
+        input.removeAttribute('aria-activedescendant');
+        return;
+    }
+    input.setAttribute('aria-activedescendant', activeItem.id);
+    if (activeItem.scrollIntoView) activeItem.scrollIntoView({ block: 'nearest' });
+    previewSuggestionInSVG(activeItem.dataset.word);
+}
+
+// accept a suggestion (click, Enter or Tab)
+function chooseSuggestion(word, explored = null) {
+    // increase weight for picked word boosting future suggestions (persisted, see section 10)
+    // phrase suggestions boost their last word, which also lifts it in next-word predictions
+    learnPick(phraseTail(word));
+
+    input.value = word;
+    closeSuggestions();
+    announceSuggestions(`${word} selected`);
+
+    // redraw (node sizes follow weight), focus the picked word's path instead of the typed
+    // prefix (the state saved below, and a shared link, carry no stale focus), then highlight it
+    redrawTrieDiagram();
+    focusTrieDiagram(phraseTail(word));
+    highlightWordInSVG(phraseTail(word), explored); // highlight the selected word
+
+    chosenWord = word;
+    saveDemoState(true); // a pick is its own history entry (section 20)
+}
+
+// fill the suggestion list; shared by the local trie and the worker engine (section 12)
+function renderSuggestions(matches, query, fuzzy, explored = null, pattern = null) {
+    suggestions.innerHTML = "";
+    selectedIndex = -1; // old index would point into the previous list
+    input.removeAttribute('aria-activedescendant');
+    input.setAttribute('aria-expanded', 'true');
+
+    if (matches.length === 0) { // no matches found
+        const li = document.createElement("li");
+        li.classList.add("no-results");
+        li.setAttribute('role', 'option');
+        li.setAttribute('aria-disabled', 'true');
+        li.textContent = "No matches found";
+        suggestions.appendChild(li);
+        announceSuggestions('No matches found');
+        return;
+    }
+
+    matches.forEach((word, i) => { // create suggestion items
+        const li = document.createElement("li");
+        li.id = `suggestion-${i}`;
+        li.setAttribute('role', 'option');
+        li.setAttribute('aria-selected', 'false');
+        li.dataset.word = word;
+
+        // Highlight prefix (and typo positions in fuzzy mode)
+        renderSuggestionLabel(li, word, query, fuzzy, pattern);
+
+        li.addEventListener("click", () => {
+            // Tracking suggestion click analytics
+            track('trie_suggestion_click', {
+                event_category: 'trie_demo',
+                event_label: word
+            });
+
+            chooseSuggestion(word, explored);
+        });
+
+        suggestions.appendChild(li);
+
+    });
+
+    announceSuggestions(`${matches.length} suggestion${matches.length === 1 ? '' : 's'} available, use the up and down arrows to review.`);
+}
+
 if (input) {
     input.addEventListener('input', () => { // on input change
-        // Tracking typing into the Trie box
-        gtag('event', 'trie_type', {
+        // Tracking typing into the Trie box (one event per typing burst, not per keystroke)
+        track('trie_type', {
             event_category: 'trie_demo',
             event_label: 'User typed in autocomplete box'
-        });
-
-        const query = input.value.trim().toLowerCase();
+        }, { debounce: 1000 });
 
-        suggestions.innerHTML = "";
-        if (query.length === 0) return;
+        const query = input.value.trim();
 
-        const matches = trie.autocomplete(query).slice(0, 10);
-
-        if (matches.length === 0) { // no matches found
-            const li = document.createElement("li");
-            li.classList.add("no-results");
-            li.textContent = "No matches found";
-            suggestions.appendChild(li);
+        lastExplored = null;
+        lastPatternMatches = null;
+        if (query.length === 0) {
+            closeSuggestions();
+            announceSuggestions('');
             return;
         }
 
-        matches.forEach(word => { // create suggestion items
-            const li = document.createElement("li");
-
-            // Highlight prefix
-            li.innerHTML = `<strong>${query}</strong>${word.slice(query.length)}`;
+        const maxEdits = getMaxEdits();
+        const pattern = getPatternQuery(query);
 
-            li.addEventListener("click", () => {
-                // Tracking suggestion click analytics
-                gtag('event', 'trie_suggestion_click', {
-                    event_category: 'trie_demo',
-                    event_label: word
-                });
+        // several words in exact mode: finish the current word or predict the next one (section 18)
+        const phrase = maxEdits === 0 && !pattern ? phraseParts(input.value) : null;
+        if (phrase) {
+            renderSuggestions(predictPhrase(phrase), input.value.replace(/^\s+/, ''), false);
+            return;
+        }
 
-                // increase weight for clicked word boosting future suggestions
-                const node = trie.getNode(word);
-                if (node) node.weight = (node.weight || 0) + 1; // increment weight to boost future suggestions
+        // large word list loaded: ask the worker, results arrive asynchronously
+        if (largeDictionaryActive) {
+            queryLargeDictionary(query, maxEdits, pattern);
+            return;
+        }
 
-                input.value = word;
-                suggestions.innerHTML = "";
+        // wildcard / suffix / substring: every match is listed and its path highlighted
+        if (pattern) {
+            const { matches } = patternSearch(trie, pattern, getPatternIndex());
+            lastPatternMatches = matches;
+            renderSuggestions(matches.slice(0, PATTERN_RESULT_LIMIT), query, false, null, pattern);
+            return;
+        }
 
-                // highlight path in SVG
-                highlightWordInSVG(word); // highlight the selected word
-                drawTrieSVG(trie, 'trie-svg')
-            });
+        // exact prefix lookup or bounded edit-distance walk depending on mode
+        let matches;
+        if (maxEdits > 0) {
+            const fuzzy = trie.fuzzyAutocomplete(query, maxEdits);
+            lastExplored = fuzzy.explored;
+            matches = fuzzy.results.slice(0, 10).map(x => x.word);
+        } else {
+            matches = diagramMode === 'trie'
+                ? trie.topK(query, 10) // best-first, stops after 10 words
+                : displayedStructure().autocomplete(query).slice(0, 10); // same API on radix / DAWG
+        }
 
-            suggestions.appendChild(li);
+        renderSuggestions(matches, query, maxEdits > 0, lastExplored);
+    });
 
+    // re-run the current query when switching between exact, fuzzy and pattern modes
+    if (matchModeSelect) {
+        matchModeSelect.addEventListener('change', () => {
+            input.dispatchEvent(new Event('input'));
         });
-    });
+    }
 
     // Close suggestions when clicking outside
     document.addEventListener("click", (e) => {
         if (!document.querySelector(".autocomplete-box").contains(e.target)) {
-                suggestions.innerHTML = "";
+            closeSuggestions();
         }
     });
 }
 
 
-// 5. SVG TRIE DIAGRAM RENDERING
+// 4. SVG TRIE DIAGRAM RENDERING
+// the diagram keeps its elements between draws: a redraw re-runs the layout, patches the
+// circles/lines already on screen, adds new ones and removes the rest. Only nodes inside the
+// visible (zoomed / panned) area get elements at all, so big tries stay smooth
+
+const nodeElementsMap = new Map(); // needed for highlight -- Map<trieNode, {circle, parentLine, label, badge, title}>
+const edgeElements = []; // edge lines currently on screen (for animation)
+
+const NODE_RADIUS = 18;
+const HORIZONTAL_SPACING = 70;
+const VERTICAL_SPACING = 70;
+const CULL_MARGIN = 120; // px around the viewport that still gets elements (smooth panning)
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 3;
+
+const diagramView = { scale: 1, x: 0, y: NODE_RADIUS * 2, ready: false }; // screen = world * scale + offset
+const collapseOverrides = new Map(); // node -> true (expanded) / false (collapsed), from clicking nodes
+let diagramFocusPrefix = ''; // typed prefix: the diagram keeps only this path (and its subtree) open
+let diagramAutoFocus = true;
+let diagramStructure = null; // structure currently drawn (elements belong to its nodes)
+let diagramLayout = null; // { positions: Map<node, pos>, order: pos[], edges: [], bounds }
+let laidOutNodes = new Set(); // nodes of the previous layout, to animate freshly inserted ones
+let sharedEdgeElements = []; // DAWG cross edges + labels, cheap to rebuild on every render
+let keyboardNode = null; // node focused with the arrow keys (section 16)
+
+const diagramNodeIds = new WeakMap(); // node -> stable element id (aria-activedescendant)
+let nextDiagramNodeId = 0;
+
+function diagramNodeId(node) {
+    if (!diagramNodeIds.has(node)) diagramNodeIds.set(node, `trie-node-${nextDiagramNodeId++}`);
+    return diagramNodeIds.get(node);
+}
 
-const svgNS = "http://www.w3.org/2000/svg";
-const nodeElementsMap = new Map(); // needed for highlight -- Map<trieNode, {circle, parentLine}>
-const edgeElements = []; // store edge elements for animation
+// <svg> -> <g viewport transform> -> edges layer + nodes layer (created once)
+function getDiagramLayers(svg) {
+    let viewport = svg.querySelector('.trie-viewport');
+    if (!viewport) {
+        svg.innerHTML = "";
+        viewport = document.createElementNS(svgNS, 'g');
+        viewport.classList.add('trie-viewport');
+        const edges = document.createElementNS(svgNS, 'g');
+        edges.classList.add('trie-edges');
+        const nodes = document.createElementNS(svgNS, 'g');
+        nodes.classList.add('trie-nodes');
+        viewport.appendChild(edges);
+        viewport.appendChild(nodes);
+        svg.appendChild(viewport);
+    }
+    return {
+        viewport,
+        edges: viewport.querySelector('.trie-edges'),
+        nodes: viewport.querySelector('.trie-nodes')
+    };
+}
 
-function drawTrieSVG(trie, svgId) { // render trie structure as SVG
-    const svg = document.getElementById(svgId);
-    if (!svg) return; // guard (SVG missing)
-    svg.innerHTML = "";
+function removeNodeElements(data) {
+    ['circle', 'label', 'badge', 'parentLine'].forEach(key => {
+        if (data[key]) data[key].remove();
+    });
+}
+
+// drop every element (structure swapped, snapshot loaded...) - next draw fades in without "added" pops
+function resetTrieDiagram() {
+    nodeElementsMap.forEach(removeNodeElements);
     nodeElementsMap.clear();
+    sharedEdgeElements.forEach(el => el.remove());
+    sharedEdgeElements = [];
     edgeElements.length = 0;
+    collapseOverrides.clear();
+    laidOutNodes = new Set();
+    keyboardNode = null;
+    diagramStructure = null;
+    diagramLayout = null;
+}
 
-    const nodeRadius = 18;
-    const horizontalSpacing = 70;
-    const verticalSpacing = 70;
+function isNodeExpanded(node, structure, pathNodes, inFocus) {
+    if (collapseOverrides.has(node)) return collapseOverrides.get(node); // user clicked it
+    if (!diagramAutoFocus || !diagramFocusPrefix) return true;
+    return node === structure.root || pathNodes.has(node) || inFocus; // off-path branches fold away
+}
 
-    // Calculate layout positions
-    function layout(node, depth = 0, x = 0, parentLetter = '') {
-        const keys = Object.keys(node.children).sort();
-        const positions = [];
+// tidy-tree layout over expanded nodes only, O(n) with a node -> position map
+function computeDiagramLayout(structure) {
+    const pathNodes = new Set(diagramFocusPrefix ? structure.matchPath(diagramFocusPrefix) : []);
+    const focusNode = pathNodes.size ? Array.from(pathNodes)[pathNodes.size - 1] : null;
+    const positions = new Map();
+    const order = [];
 
-        if (keys.length === 0) {
-            positions.push({ node, x, depth, letter: parentLetter });
-            return {positions, width: 1};
-        }
+    // nodes already laid out; a DAWG reaches shared states from several parents,
+    // those are placed under their first parent and the other edges are drawn as shared edges
+    const placed = new Set();
+
+    function layout(node, depth, x, letter, parent, inFocus) {
+        placed.add(node);
+        const keys = Object.keys(node.children).sort();
+        const expanded = isNodeExpanded(node, structure, pathNodes, inFocus);
+        const childFocus = inFocus || node === focusNode;
 
         let totalWidth = 0;
         let childX = x;
 
-        keys.forEach(key => {
-            const child = node.children[key];
-            const { positions: childPositions, width: childWidth } = layout(child, depth + 1, childX, key);
+        if (expanded) {
+            keys.forEach(key => {
+                const child = node.children[key];
+                if (placed.has(child)) return; // shared state, already positioned elsewhere
+                const width = layout(child, depth + 1, childX, key, node, childFocus);
+                childX += width * HORIZONTAL_SPACING;
+                totalWidth += width;
+            });
+        }
 
-            positions.push(...childPositions);
-            childX += childWidth * horizontalSpacing; // horizontalSpacing
-            totalWidth += childWidth;
-        });
+        const pos = {
+            node,
+            x: totalWidth === 0 ? x : x + (totalWidth * HORIZONTAL_SPACING - HORIZONTAL_SPACING) / 2, // centered above children
+            y: depth * VERTICAL_SPACING,
+            depth,
+            letter,
+            parent,
+            hidden: expanded ? 0 : keys.length // folded children, shown as a "+n" badge
+        };
+        positions.set(node, pos);
+        order.push(pos);
+
+        return Math.max(totalWidth, 1);
+    }
+
+    layout(structure.root, 0, 0, '', null, false);
+
+    const edges = [];
+    let minX = Infinity;
+    let maxX = -Infinity;
+    let maxY = 0;
+
+    order.forEach(pos => {
+        minX = Math.min(minX, pos.x);
+        maxX = Math.max(maxX, pos.x);
+        maxY = Math.max(maxY, pos.y);
+        if (pos.hidden) return;
+
+        for (let key in pos.node.children) {
+            const childPos = positions.get(pos.node.children[key]);
+            if (!childPos) continue;
+            // edge into a state placed under another parent (DAWG suffix sharing)
+            const shared = childPos.parent !== pos.node || childPos.letter !== key;
+            edges.push({ from: pos, to: childPos, key, shared });
+        }
+    });
+
+    return { positions, order, edges, bounds: { minX, maxX, maxY } };
+}
 
-        const mid = x + (totalWidth * 70 - 70) / 2; // centering node above its children
-        positions.push({ node, x: mid, depth, letter: parentLetter });
+function visibleWorldRect(svg) { // world coordinates currently on screen, plus the culling margin
+    const width = svg.clientWidth || 800;
+    const height = svg.clientHeight || 480;
+    const { scale, x, y } = diagramView;
+    return {
+        left: (-x - CULL_MARGIN) / scale,
+        right: (width - x + CULL_MARGIN) / scale,
+        top: (-y - CULL_MARGIN) / scale,
+        bottom: (height - y + CULL_MARGIN) / scale
+    };
+}
+
+function baseNodeFill(node) {
+    return node.isEnd ? '#4da6ff' : '#11141a';
+}
 
-        return { positions, width: totalWidth }; // return accumulated positions
+function createNodeElements(pos, layers, animateIn) {
+    const { node, letter } = pos;
+
+    const circle = document.createElementNS(svgNS, 'circle');
+    circle.setAttribute('stroke', '#4da6ff');
+    circle.setAttribute('stroke-width', 2);
+    circle.classList.add("trie-node"); // for animation
+    circle.__trie_node_ref = node; // attach node reference for later highlight (store node ref on element)
+    circle.id = diagramNodeId(node);
+    circle.setAttribute('role', 'treeitem');
+    if (node === keyboardNode) circle.classList.add('keyboard-focus');
+    layers.nodes.appendChild(circle);
+
+    // Letter label
+    const label = document.createElementNS(svgNS, 'text');
+    label.setAttribute('fill', '#fff');
+    label.setAttribute('font-size', splitGraphemes(letter).length > 1 ? '10' : '12'); // radix labels can be whole chunks
+    label.setAttribute('text-anchor', 'middle');
+    label.classList.add('trie-label');
+    label.setAttribute('aria-hidden', 'true'); // the circle's aria-label says it all
+    label.textContent = letter || '•';
+    layers.nodes.appendChild(label);
+
+    // nodes that were not laid out last time were just inserted
+    if (prefersReducedMotion()) {
+        circle.classList.add('visible'); // shown as is, no pop or fade-in
+    } else {
+        if (animateIn) {
+            circle.classList.add('node-added');
+            label.classList.add('node-added');
+        }
+        requestAnimationFrame(() => circle.classList.add('visible')); // fade-in (css transition)
     }
 
-    const { positions } = layout(trie.root); // get all node positions
+    return { circle, label, parentLine: null, badge: null, title: null };
+}
 
-    // fallbadck if positions empty
-    if (!positions || positions.length === 0) {
-        // create placeholder text
-        const placeholder = document.createElementNS(svgNS, 'text');
-        placeholder.setAttribute('x', 20);
-        placeholder.setAttribute('y', 30);
-        placeholder.setAttribute('fill', '#fff');
-        placeholder.textContent= 'No nodes to render';
-        svg.appendChild(placeholder);
-        return;
+// screen reader label: path from the root, word + frequency, branches below
+function describeDiagramNode(pos, structure) {
+    const { node } = pos;
+    if (node === structure.root) return `Root, ${Object.keys(node.children).length} branches`;
+
+    const path = node.path || getWordFromNode(node, structure.root); // DAWG states have no stored path
+    const parts = [`Path ${splitGraphemes(path).join(' ')}`];
+    if (node.isEnd) {
+        const entry = structure instanceof Dawg ? structure.entries.get(path) : null; // DAWG keeps counts in a side table
+        const freq = entry ? entry.freq : node.freq;
+        parts.push(`word "${entry ? entry.word : path}", frequency ${Number(freq) || 0}`);
     }
+    const branches = Object.keys(node.children).length;
+    if (branches) parts.push(`${branches} branch${branches === 1 ? '' : 'es'}${pos.hidden ? ', folded' : ''}`);
+    return parts.join(', ');
+}
 
-    // compute extents
-    const xs = positions.map(p => Number(p.x) || 0);
-    const depths = positions.map(p => Number(p.depth) || 0);
-    const minX = Math.min(...xs);
-    const maxX = Math.max(...xs);
-    const maxDepth = Math.max(...depths);
+// set everything that depends on layout / node data (called for new nodes and after a relayout)
+function updateNodeElements(data, pos, layers, structure) {
+    const { node, x, y } = pos;
+
+    data.circle.setAttribute('aria-label', describeDiagramNode(pos, structure));
+    data.circle.setAttribute('aria-level', pos.depth + 1);
+    if (Object.keys(node.children).length) data.circle.setAttribute('aria-expanded', String(!pos.hidden));
+    else data.circle.removeAttribute('aria-expanded');
+
+    // scale radius by subtree weight so popular branches stand out (safe numeric fallback)
+    const r = Math.max(10, Math.min(NODE_RADIUS * 2, NODE_RADIUS + (Number(node.subtreeWeight) || 0) * 2)); // keep min/max radius
+    data.circle.setAttribute('cx', x);
+    data.circle.setAttribute('cy', y);
+    data.circle.setAttribute('r', r);
+    data.circle.setAttribute('fill', baseNodeFill(node));
+    data.circle.classList.toggle('collapsed', pos.hidden > 0);
+
+    data.label.setAttribute('x', x);
+    data.label.setAttribute('y', y + 5);
+
+    // Tooltip for end nodes
+    if (node.isEnd) {
+        if (!data.title) {
+            data.title = document.createElementNS(svgNS, 'title');
+            data.circle.appendChild(data.title);
+        }
+        data.title.textContent = node.path || getWordFromNode(node, structure.root) || ''; // use stored path (this becomes O(1) and is better for larger tries as opposed to O(N) DFS search)
+    } else if (data.title) {
+        data.title.remove();
+        data.title = null;
+    }
 
-    // padding
-    const pad = nodeRadius * 3;
-    const svgWidth = Math.max(800, Math.ceil(maxX - minX + pad * 2));
-    const svgHeight = Math.ceil((maxDepth + 1) * verticalSpacing + pad);
+    // "+n" badge on folded nodes
+    if (pos.hidden > 0) {
+        if (!data.badge) {
+            data.badge = document.createElementNS(svgNS, 'text');
+            data.badge.setAttribute('font-size', '10');
+            data.badge.setAttribute('text-anchor', 'middle');
+            data.badge.classList.add('collapse-badge');
+            data.badge.setAttribute('aria-hidden', 'true');
+            layers.nodes.appendChild(data.badge);
+        }
+        data.badge.setAttribute('x', x);
+        data.badge.setAttribute('y', y + r + 12);
+        data.badge.textContent = `+${pos.hidden}`;
+    } else if (data.badge) {
+        data.badge.remove();
+        data.badge = null;
+    }
+}
 
-    // set viewBox (scales nicely) and explicit height so wrapper can scroll horizontally
-    svg.setAttribute('viewBox', `${minX - pad} 0 ${svgWidth} ${svgHeight}`);
-    svg.setAttribute('preserveAspectRatio', 'xMinYMin meet');
-    svg.style.width = svgWidth + 'px'; // explicit css width so wrapper's horizontal scroll works
-    svg.style.height = svgHeight + 'px';
+function updateEdgeLine(line, edge) {
+    line.setAttribute('x1', edge.from.x);
+    line.setAttribute('y1', edge.from.y + NODE_RADIUS);
+    line.setAttribute('x2', edge.to.x);
+    line.setAttribute('y2', edge.to.y - NODE_RADIUS);
+}
 
-    // temporary map childNode -> its parent line for later node mapping
-    const parentLineForNode = new Map();
+function createEdgeLine(layers) {
+    const line = document.createElementNS(svgNS, 'line');
+    line.setAttribute('stroke', '#4da6ff');
+    line.setAttribute('stroke-width', 2);
+    line.classList.add("trie-edge");
+    line.setAttribute('aria-hidden', 'true');
+    layers.edges.appendChild(line);
+    if (prefersReducedMotion()) line.classList.add('visible');
+    else requestAnimationFrame(() => line.classList.add('visible'));
+    return line;
+}
 
-    // Draw edges first (so nodes sit on top)
-    positions.forEach(pos => {
-        for (let key in pos.node.children) { // draw line to each child
-            const child = pos.node.children[key];
-            const childPos = positions.find(p => p.node === child);
+// sync elements with the current layout and viewport; `relayout` also refreshes existing elements
+function renderDiagramViewport(svg, relayout = false) {
+    if (!diagramLayout || !diagramStructure) return;
+    const layers = getDiagramLayers(svg);
+    const { positions, order, edges } = diagramLayout;
+    const { scale, x, y } = diagramView;
+    layers.viewport.setAttribute('transform', `translate(${x} ${y}) scale(${scale})`);
+
+    const rect = visibleWorldRect(svg);
+    const inRect = (pos) => pos.x >= rect.left && pos.x <= rect.right && pos.y >= rect.top && pos.y <= rect.bottom;
+
+    // a node gets elements when it or its parent is on screen (so edges into view are drawn)
+    const visible = new Set();
+    order.forEach(pos => {
+        const parentPos = pos.parent ? positions.get(pos.parent) : null;
+        if (inRect(pos) || (parentPos && inRect(parentPos))) visible.add(pos.node);
+    });
 
-            if (!childPos) continue;
+    // remove what scrolled out of view or left the layout
+    nodeElementsMap.forEach((data, node) => {
+        if (visible.has(node)) return;
+        removeNodeElements(data);
+        nodeElementsMap.delete(node);
+    });
 
-            const line = document.createElementNS(svgNS, 'line');
-            line.setAttribute('x1', pos.x);
-            line.setAttribute('y1', pos.depth * verticalSpacing + nodeRadius);
-            line.setAttribute('x2', childPos.x);
-            line.setAttribute('y2', childPos.depth * verticalSpacing - nodeRadius);
-            line.setAttribute('stroke', '#4da6ff');
-            line.setAttribute('stroke-width', 2);
+    // create / patch node elements
+    visible.forEach(node => {
+        const pos = positions.get(node);
+        let data = nodeElementsMap.get(node);
+        if (!data) {
+            const animateIn = laidOutNodes.size > 0 && !laidOutNodes.has(node);
+            data = createNodeElements(pos, layers, animateIn);
+            nodeElementsMap.set(node, data);
+            updateNodeElements(data, pos, layers, diagramStructure);
+        } else if (relayout) {
+            updateNodeElements(data, pos, layers, diagramStructure);
+        }
+    });
 
-            line.classList.add("trie-edge");
-            svg.appendChild(line);
-            edgeElements.push(line); // store for animation
+    // tree edges live on their child's entry (parentLine), shared DAWG edges are redrawn
+    edgeElements.length = 0;
+    sharedEdgeElements.forEach(el => el.remove());
+    sharedEdgeElements = [];
+
+    edges.forEach(edge => {
+        const childData = nodeElementsMap.get(edge.to.node);
+        const parentVisible = visible.has(edge.from.node);
+
+        if (edge.shared) {
+            if (!parentVisible && !childData) return;
+            const line = createEdgeLine(layers);
+            line.classList.add('shared-edge');
+            updateEdgeLine(line, edge);
+            const edgeLabel = document.createElementNS(svgNS, 'text');
+            edgeLabel.setAttribute('x', (edge.from.x + edge.to.x) / 2);
+            edgeLabel.setAttribute('y', (edge.from.y + edge.to.y) / 2);
+            edgeLabel.setAttribute('font-size', '10');
+            edgeLabel.setAttribute('text-anchor', 'middle');
+            edgeLabel.classList.add('shared-edge-label');
+            edgeLabel.textContent = edge.key;
+            layers.edges.appendChild(edgeLabel);
+            sharedEdgeElements.push(line, edgeLabel);
+            edgeElements.push(line);
+            return;
+        }
 
-            // map child node to its parent line
-            parentLineForNode.set(child, line);
+        if (!childData) return;
+        if (!childData.parentLine) {
+            childData.parentLine = createEdgeLine(layers);
+            updateEdgeLine(childData.parentLine, edge);
+        } else if (relayout) {
+            childData.parentLine.setAttribute('stroke', '#4da6ff'); // reset base stroke
+            updateEdgeLine(childData.parentLine, edge);
         }
+        edgeElements.push(childData.parentLine);
     });
 
-    // Draw nodes
-    positions.forEach(pos => {
-        const { node, x, depth, letter } = pos;
+    // a node that lost its tree edge (now folded parent etc.) drops its line
+    if (relayout) {
+        nodeElementsMap.forEach((data, node) => {
+            const pos = positions.get(node);
+            if (data.parentLine && (!pos.parent || positions.get(pos.parent).hidden)) {
+                data.parentLine.remove();
+                data.parentLine = null;
+            }
+        });
+    }
+}
 
-        const circle = document.createElementNS(svgNS, 'circle');
+// start with the root centered at the top of the viewport
+function centerDiagramOn(svg, pos) {
+    if (!pos) return;
+    const width = svg.clientWidth || 800;
+    diagramView.x = width / 2 - pos.x * diagramView.scale;
+    diagramView.y = NODE_RADIUS * 2 - Math.max(0, pos.y - VERTICAL_SPACING) * diagramView.scale;
+}
 
-        // scale radius by weight (safe numeric fallback)
-        const r = Math.max(10, nodeRadius + (Number(node.weight) || 0) * 2); // size by weight, keep minimum radius
-        circle.setAttribute('cx', x);
-        circle.setAttribute('cy', depth * verticalSpacing);
-        circle.setAttribute('r', r);
+function drawTrieSVG(trie, svgId) { // render trie structure as SVG (incremental)
+    const svg = document.getElementById(svgId);
+    if (!svg) return; // guard (SVG missing)
 
-        circle.setAttribute('fill', node.isEnd ? '#4da6ff' : '#11141a');
-        circle.setAttribute('stroke', '#4da6ff');
-        circle.setAttribute('stroke-width', 2);
-        circle.classList.add("trie-node"); // for animation
+    // elements belong to one structure's nodes; a different structure starts from scratch
+    if (diagramStructure !== trie) resetTrieDiagram();
+    diagramStructure = trie;
 
-        // attach node reference for later highlight (store node ref on element)
-        circle.__trie_node_ref = node;
+    diagramLayout = computeDiagramLayout(trie);
 
-        svg.appendChild(circle);
+    if (!diagramView.ready) {
+        centerDiagramOn(svg, diagramLayout.positions.get(trie.root));
+        diagramView.ready = true;
+    }
 
-        // Letter label
-        const text = document.createElementNS(svgNS, 'text');
-        text.setAttribute('x', x);
-        text.setAttribute('y', depth * verticalSpacing + 5);
-        text.setAttribute('fill', '#fff');
-        text.setAttribute('font-size', '12');
-        text.setAttribute('text-anchor', 'middle');
-        text.textContent = letter || '•';
+    renderDiagramViewport(svg, true);
+    laidOutNodes = new Set(diagramLayout.positions.keys());
+}
 
-        svg.appendChild(text);
+// which structure the diagram shows: 'trie', 'radix' or 'dawg'
+// the compressed variants are rebuilt from the trie's words so edits and boosts carry over
+let diagramMode = 'trie';
+let compressedViews = null; // { radix, dawg } built from the current trie, null when stale
 
-        // Tooltip for end nodes
-        if (node.isEnd) {
-            const title = document.createElementNS(svgNS, 'title');
-            title.textContent = node.path || getWordFromNode(node, trie.root) || ''; // use stored path (this becomes O(1) and is better for larger tries as opposed to O(N) DFS search)
-            circle.appendChild(title);
-        }
+// large word lists live in trie-worker.js (section 12); the diagram then shows a small
+// trie of the top words under the current prefix fetched from the worker
+let largeDictionaryActive = false;
+let largeView = null;
 
-        // parent line (if any) from the map
-        const parentLine = parentLineForNode.get(node) || null;
+function diagramSource() { // the trie the diagram (and its compressed variants) are drawn from
+    return largeDictionaryActive && largeView ? largeView : trie;
+}
 
-        // finally setting mapping for this node
-        nodeElementsMap.set(node, { circle, parentLine });
-    });
+function buildCompressedViews() {
+    if (compressedViews) return compressedViews;
 
-    // trigger fade-in of nodes + edges (css classes)
-    requestAnimationFrame(() => {
-        document.querySelectorAll('.trie-node').forEach(n => n.classList.add('visible'));
-        document.querySelectorAll('.trie-edge').forEach(e => e.classList.add('visible'));
-    });
+    const source = diagramSource();
+    const radix = new RadixTrie(source.keyOptions);
+    const dawg = new Dawg(source.keyOptions);
+    for (const [word, { freq, weight }] of source.entries()) {
+        radix.insert(word, freq, weight);
+        dawg.insert(word, freq, weight);
+    }
+
+    dawg._build(); // minimize now so dawg.root is ready to draw
+    compressedViews = { radix, dawg };
+    return compressedViews;
+}
+
+function displayedStructure() {
+    if (diagramMode === 'trie') return diagramSource();
+    return buildCompressedViews()[diagramMode] || trie;
+}
+
+// redraw the diagram after any change to the dictionary or weights
+function redrawTrieDiagram() {
+    compressedViews = null; // trie changed, compressed copies are stale
+    patternIndex = null;
+    drawTrieSVG(displayedStructure(), 'trie-svg');
+    updateStructureStats();
 }
 
-// Highlighting, keyboard navigation, and load
-function getAccentColor() {
-    const raw = getComputedStyle(document.documentElement).getPropertyValue('--accent') || '#ff6b6b';
-    return String(raw).trim() || '#ff6b6b';
+// Highlighting, keyboard navigation, and load (getAccentColor comes from demo-ui.js)
+
+// outline every node a fuzzy query walked through (branches explored within the edit budget)
+function markExploredInSVG(explored) {
+    nodeElementsMap.forEach((data, node) => {
+        const hit = !!(explored && explored.has(node));
+        if (data && data.circle) data.circle.classList.toggle('fuzzy-explored', hit);
+        if (data && data.parentLine) data.parentLine.classList.toggle('fuzzy-explored', hit);
+    });
 }
 
 // highlight path for a given word: pulse nodes and color edges
-function highlightWordInSVG(word) {
+// optional `explored` set (from fuzzyAutocomplete) also outlines the branches searched
+function highlightWordInSVG(word, explored = null) {
     // Tracking highlight analytics
-    gtag('event', 'trie_highlight', {
+    track('trie_highlight', {
         event_category: 'trie_demo',
         event_label: word
-    });
+    }, { debounce: 1000 });
     
     const accent = getAccentColor();
+    const pulse = !prefersReducedMotion(); // reduced motion: the path is colored, not pulsed
+
+    markExploredInSVG(explored);
 
     // clear previous animation classes quickly
     nodeElementsMap.forEach((data) => {
@@ -408,17 +846,13 @@ function highlightWordInSVG(word) {
         }
     });
 
-    let node = trie.root;
-
-    for (let char of word.toLowerCase()) {
-        if (!node.children[char]) return; // no path found
-        node = node.children[char];
-
+    // walk whichever structure is on screen (trie, radix or DAWG)
+    for (let node of displayedStructure().matchPath(word)) {
         const nodeData = nodeElementsMap.get(node);
         if (nodeData && nodeData.circle) {
             // color the node and pulse
             nodeData.circle.setAttribute('fill', accent);
-            nodeData.circle.classList.add("pulse-highlight"); // add highlight
+            if (pulse) nodeData.circle.classList.add("pulse-highlight"); // add highlight
 
             // color parent edge if present
             if (nodeData.parentLine) {
@@ -438,84 +872,1847 @@ function highlightWordInSVG(word) {
     }, 700);
 }
 
-// 6. INPUT-BASED PATH HIGHLIGHTING
+// 5. INPUT-BASED PATH HIGHLIGHTING
 
-if (input) {
-    input.addEventListener('input', () => { // on input change
-        const query = input.value.trim().toLowerCase();
+// color the path for the typed prefix (also re-run after the worker's subtree is drawn)
+function highlightQueryPath(query) {
+    // reset all nodes and edges to base color
+    nodeElementsMap.forEach((data) => {
+        if (!data || !data.circle) return;
+        data.circle.setAttribute('fill', data.circle.__trie_node_ref && data.circle.__trie_node_ref.isEnd ? '#4da6ff' : '#11141a');
+        data.circle.classList.remove('option-active');
+        if (data.parentLine) data.parentLine.setAttribute('stroke', '#4da6ff');
+    });
 
-        // reset all nodes and edges to base color
-        nodeElementsMap.forEach((data) => {
-            if (!data || !data.circle) return;
-            data.circle.setAttribute('fill', data.circle.__trie_node_ref && data.circle.__trie_node_ref.isEnd ? '#4da6ff' : '#11141a');
-            if (data.parentLine) data.parentLine.setAttribute('stroke', '#4da6ff');
-        });
+    // fuzzy mode: show every branch the edit-distance walk explored
+    markExploredInSVG(getMaxEdits() > 0 ? lastExplored : null);
 
-        if (!query) return;
+    if (!query) return;
 
-        let node = trie.root;
-        for (let char of query) {
-            if (!node.children[char]) return;
-            node = node.children[char];
+    // pattern queries light up the full path of every matched word, prefixes just their own path
+    const structure = displayedStructure();
+    const pathNodes = new Set();
+    (lastPatternMatches || [query]).forEach(word => {
+        structure.matchPath(word).forEach(node => pathNodes.add(node));
+    });
 
-            const nodeData = nodeElementsMap.get(node);
-            if (nodeData) {
-                const accent = getAccentColor();
-                nodeData.circle.setAttribute('fill', accent);
-                if (nodeData.parentLine) nodeData.parentLine.setAttribute('stroke', accent);
-            }
+    const accent = getAccentColor();
+    pathNodes.forEach(node => {
+        const nodeData = nodeElementsMap.get(node);
+        if (nodeData) {
+            nodeData.circle.setAttribute('fill', accent);
+            if (nodeData.parentLine) nodeData.parentLine.setAttribute('stroke', accent);
         }
-    });  
+    });
+}
+
+// follow the active suggestion (arrow keys) on the diagram without counting it as a pick
+function previewSuggestionInSVG(word) {
+    highlightQueryPath(input ? phraseTail(input.value) : '');
+    if (!word) return;
+    word = phraseTail(word); // phrase suggestions follow their last word
+
+    const path = displayedStructure().matchPath(word);
+    const end = path[path.length - 1];
+    const svg = document.getElementById('trie-svg');
+    if (svg && end && diagramLayout && diagramLayout.positions.has(end) && !nodeElementsMap.has(end)) {
+        centerDiagramOn(svg, diagramLayout.positions.get(end)); // scrolled out of view
+        renderDiagramViewport(svg);
+    }
+
+    const accent = getAccentColor();
+    path.forEach(node => {
+        const nodeData = nodeElementsMap.get(node);
+        if (!nodeData) return;
+        nodeData.circle.setAttribute('fill', accent);
+        nodeData.circle.classList.add('option-active');
+        if (nodeData.parentLine) nodeData.parentLine.setAttribute('stroke', accent);
+    });
+}
+
+if (input) {
+    input.addEventListener('input', () => { // on input change
+        const query = phraseTail(input.value); // last word of a phrase
+        const pattern = getPatternQuery(query);
+        focusTrieDiagram(pattern ? patternFocusPrefix(pattern) : query); // fold the diagram around the typed prefix
+        highlightQueryPath(query);
+    });
 }
 
-// 7. KEYBOARD NAVIGATION FOR SUGGESTIONS
+// palette or accent changed (theme.js): repaint the highlighted path with the new --accent
+document.addEventListener('themechange', () => {
+    highlightQueryPath(input ? phraseTail(input.value) : '');
+});
 
-let selectedIndex = -1;
+// 6. KEYBOARD NAVIGATION FOR SUGGESTIONS
+// Down/Up move through the options (Down reopens a closed list), Home/End jump to the first/last
+// option once one is active (before that they move the caret), Enter and Tab accept,
+// Escape closes the list and a second Escape clears the input
 
 if (input) {
     input.addEventListener("keydown", (e) => { // handle arrow keys and enter
-        const items = Array.from(suggestions.querySelectorAll("li"));
-
-        if (items.length === 0) return;
-
-        if (e.key === "ArrowDown") {
-            selectedIndex = (selectedIndex + 1) % items.length;
-            e.preventDefault();
-        } 
-        else if (e.key === "ArrowUp") {
-            selectedIndex = (selectedIndex - 1 + items.length) % items.length;
-            e.preventDefault();
-        } 
-        else if (e.key === "Enter" && selectedIndex >= 0) {
-            const chosen = items[selectedIndex].innerText;
-            input.value = chosen;
-            suggestions.innerHTML = "";
-
-            // boost weight and update trie visualization
-            const node = trie.getNode(chosen);
-            if (node) node.weight = (node.weight || 0) + 1;
-            highlightWordInSVG(chosen);
-            drawTrieSVG(trie, 'trie-svg');
-
-            selectedIndex = -1;
-            e.preventDefault();
-            return;
-        } 
-        else {
-            return;
+        const open = input.getAttribute('aria-expanded') === 'true';
+        const items = suggestionOptions();
+
+        switch (e.key) {
+            case "ArrowDown":
+                e.preventDefault();
+                if (!open) {
+                    if (input.value.trim()) input.dispatchEvent(new Event('input'));
+                    return;
+                }
+                if (items.length) setActiveOption(selectedIndex + 1);
+                return;
+
+            case "ArrowUp":
+                if (!open || !items.length) return;
+                e.preventDefault();
+                setActiveOption(selectedIndex < 0 ? items.length - 1 : selectedIndex - 1);
+                return;
+
+            case "Home":
+            case "End":
+                if (!open || selectedIndex < 0) return;
+                e.preventDefault();
+                setActiveOption(e.key === "Home" ? 0 : items.length - 1);
+                return;
+
+            case "Enter":
+                if (!open || selectedIndex < 0 || !items[selectedIndex]) return;
+                e.preventDefault();
+                chooseSuggestion(items[selectedIndex].dataset.word, getMaxEdits() > 0 ? lastExplored : null);
+                return;
+
+            case "Tab": // accept and let focus move on
+                if (open && selectedIndex >= 0 && items[selectedIndex]) {
+                    chooseSuggestion(items[selectedIndex].dataset.word, getMaxEdits() > 0 ? lastExplored : null);
+                } else if (open) {
+                    closeSuggestions();
+                }
+                return;
+
+            case "Escape":
+                e.preventDefault();
+                if (open) {
+                    closeSuggestions();
+                    announceSuggestions('Suggestions closed');
+                } else if (input.value) {
+                    input.value = '';
+                    input.dispatchEvent(new Event('input'));
+                }
+                return;
+
+            default:
+                return;
         }
-
-        items.forEach((item, i) => item.classList.toggle("active", i === selectedIndex));
     });
 }
 
-// 8. DRAW TRIE SVG ON PAGE LOAD
+// 7. DRAW TRIE SVG ON PAGE LOAD
 
 // run when DOM ready (if file loaded at head, ensure svg exists)
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => drawTrieSVG(trie, 'trie-svg'));
+    document.addEventListener('DOMContentLoaded', () => redrawTrieDiagram());
 } else {
-    drawTrieSVG(trie, 'trie-svg'); // render trie diagram
+    redrawTrieDiagram(); // render trie diagram
+}
+
+// 8. LIVE DICTIONARY EDITING (ADD / REMOVE WORDS)
+
+const dictInput = document.getElementById('dict-word');
+const dictAddBtn = document.getElementById('dict-add');
+const dictRemoveBtn = document.getElementById('dict-remove');
+const dictStatus = document.getElementById('dict-status');
+
+const PRUNE_ANIMATION_MS = 400; // matches .pruning transition in style.css
+
+function setDictStatus(message) {
+    if (dictStatus) dictStatus.textContent = message;
+}
+
+function readDictWord() { // single lowercase token from the dictionary input
+    const value = (dictInput && dictInput.value || '').trim();
+    if (!value) {
+        setDictStatus('Type a word first.');
+        return null;
+    }
+    if (/\s/.test(value)) {
+        setDictStatus('Please enter a single word (no spaces).');
+        return null;
+    }
+    return value;
+}
+
+function addDictionaryWord() {
+    const word = readDictWord();
+    if (!word) return;
+
+    if (trie.has(word)) {
+        setDictStatus(`"${word}" is already in the dictionary.`);
+        highlightWordInSVG(word);
+        return;
+    }
+
+    trie.insert(word);
+    mirrorToWorker('insert', { word }); // keep a loaded large dictionary in step
+    redrawTrieDiagram(); // new nodes get the node-added animation
+    highlightWordInSVG(word);
+    setDictStatus(`Added "${word}".`);
+    dictInput.value = '';
+    saveDemoState(true); // shared links carry the edited word list
+}
+
+function removeDictionaryWord() {
+    const word = readDictWord();
+    if (!word) return;
+
+    // record the path before deleting so we know which nodes get pruned
+    const path = [];
+    let node = trie.root;
+    for (let char of splitGraphemes(trie.keyOf(word))) {
+        if (!node.children[char]) break;
+        path.push({ parent: node, char, node: node.children[char] });
+        node = node.children[char];
+    }
+
+    // large dictionary: the word may only exist in the worker, so report its answer
+    if (largeDictionaryActive) {
+        trie.delete(word);
+        forgetLearnedWord(word);
+        dictInput.value = '';
+        mirrorToWorker('delete', { word }).then(result => {
+            setDictStatus(result && result.deleted
+                ? `Removed "${word}" from the loaded word list.`
+                : `"${word}" is not in the dictionary.`);
+        });
+        saveDemoState(true);
+        return;
+    }
+
+    if (!trie.delete(word)) {
+        setDictStatus(`"${word}" is not in the dictionary.`);
+        return;
+    }
+    forgetLearnedWord(word); // a removed word should not come back with old boosts
+
+    // nodes detached from their parent were pruned, the rest only lost their end marker
+    const pruned = path.filter(step => step.parent.children[step.char] !== step.node);
+
+    const fade = pruned.length > 0 && !prefersReducedMotion(); // reduced motion: pruned nodes just disappear
+    if (fade) {
+        pruned.forEach(step => {
+            const data = nodeElementsMap.get(step.node);
+            if (!data) return;
+            data.circle.classList.add('pruning');
+            if (data.label) data.label.classList.add('pruning');
+            if (data.parentLine) data.parentLine.classList.add('pruning');
+        });
+    }
+
+    setDictStatus(pruned.length
+        ? `Removed "${word}" and pruned ${pruned.length} node${pruned.length === 1 ? '' : 's'}.`
+        : `Removed "${word}" (nodes kept, still shared with other words).`);
+    dictInput.value = '';
+    saveDemoState(true);
+
+    // redraw once the fade-out has played
+    setTimeout(() => redrawTrieDiagram(), fade ? PRUNE_ANIMATION_MS : 0);
+}
+
+if (dictInput && dictAddBtn && dictRemoveBtn) {
+    dictAddBtn.addEventListener('click', addDictionaryWord);
+    dictRemoveBtn.addEventListener('click', removeDictionaryWord);
+
+    dictInput.addEventListener('keydown', (e) => { // Enter adds, Shift+Enter removes
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        if (e.shiftKey) removeDictionaryWord();
+        else addDictionaryWord();
+    });
+}
+
+// 9. SNAPSHOT EXPORT / IMPORT (JSON AND BINARY)
+
+const snapshotJsonBtn = document.getElementById('snapshot-json');
+const snapshotBinaryBtn = document.getElementById('snapshot-binary');
+const snapshotFileInput = document.getElementById('snapshot-file');
+const snapshotStatus = document.getElementById('snapshot-status');
+
+function setSnapshotStatus(message) {
+    if (snapshotStatus) snapshotStatus.textContent = message;
+}
+
+function downloadBlob(blob, filename) { // temporary link click, then free the object URL
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// swap in a restored trie and reset everything that pointed at the old one
+function replaceTrie(next) {
+    trie = next;
+    lastExplored = null;
+    lastPatternMatches = null;
+    showKeyControls(trie.keyOptions); // snapshots carry their own key options
+    if (input) input.value = '';
+    if (suggestions) closeSuggestions();
+    resetTrieDiagram(); // fresh fade-in rather than "added" animations for every node
+    appliedBoosts.clear(); // the new trie carries its own weights, layer local learning on top
+    applyLearnedBoosts();
+    redrawTrieDiagram();
+    saveDemoState(true);
+}
+
+async function importSnapshot(file) {
+    const buffer = await file.arrayBuffer();
+    const head = new TextDecoder().decode(new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength)));
+
+    // binary snapshots start with the TRIE magic, anything else is parsed as JSON
+    return head === 'TRIE'
+        ? Trie.fromBinary(buffer)
+        : Trie.fromJSON(new TextDecoder().decode(buffer));
+}
+
+if (snapshotJsonBtn) {
+    snapshotJsonBtn.addEventListener('click', () => {
+        const json = JSON.stringify(trie);
+        downloadBlob(new Blob([json], { type: 'application/json' }), 'trie-snapshot.json');
+        setSnapshotStatus(`Saved JSON snapshot (${json.length.toLocaleString()} bytes).`);
+    });
+}
+
+if (snapshotBinaryBtn) {
+    snapshotBinaryBtn.addEventListener('click', () => {
+        const bytes = trie.toBinary();
+        downloadBlob(new Blob([bytes], { type: 'application/octet-stream' }), 'trie-snapshot.trie');
+        setSnapshotStatus(`Saved binary snapshot (${bytes.length.toLocaleString()} bytes).`);
+    });
+}
+
+if (snapshotFileInput) {
+    snapshotFileInput.addEventListener('change', async () => {
+        const file = snapshotFileInput.files && snapshotFileInput.files[0];
+        if (!file) return;
+
+        try {
+            replaceTrie(await importSnapshot(file));
+            setSnapshotStatus(`Loaded "${file.name}".`);
+        } catch (err) {
+            console.warn('trie-demo.js: could not load snapshot', err);
+            setSnapshotStatus(`Could not load "${file.name}": ${err.message}`);
+        }
+
+        snapshotFileInput.value = ''; // allow loading the same file again
+    });
+}
+
+// 10. LEARNED SUGGESTION BOOSTS (PERSISTED WITH DECAY)
+// picks are stored in localStorage as { word: { weight, at } } and fade with a half-life,
+// so a word chosen often last month ranks below one chosen today
+
+const LEARNING_STORAGE_KEY = 'trie-learning';
+const LEARNING_HALF_LIFE_MS = 14 * 24 * 60 * 60 * 1000; // 14 days
+const LEARNING_MIN_WEIGHT = 0.01; // entries that decayed below this are dropped
+
+const learningResetBtn = document.getElementById('learning-reset');
+const learningStatus = document.getElementById('learning-status');
+
+const appliedBoosts = new Map(); // word -> amount currently added to its trie weight
+
+// retrieve stored picks (same safety as getStoredTheme: storage may be blocked)
+function getStoredLearning() {
+    try {
+        const raw = localStorage.getItem(LEARNING_STORAGE_KEY);
+        const parsed = raw ? JSON.parse(raw) : null;
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch(e) {
+        return {};
+    }
+}
+
+function storeLearning(entries) {
+    try { localStorage.setItem(LEARNING_STORAGE_KEY, JSON.stringify(entries)); } catch(e) {}
+}
+
+function clearStoredLearning() {
+    try { localStorage.removeItem(LEARNING_STORAGE_KEY); } catch(e) {}
+}
+
+function decayedWeight(entry, now = Date.now()) { // exponential decay since the last pick
+    if (!entry || !(entry.weight > 0)) return 0;
+    const age = Math.max(0, now - (Number(entry.at) || now));
+    return entry.weight * Math.pow(0.5, age / LEARNING_HALF_LIFE_MS);
+}
+
+// set the learned part of a word's weight to `amount` (keeps any snapshot/base weight intact)
+function setLearnedBoost(word, amount) {
+    if (!trie.has(word)) return false;
+    const delta = amount - (appliedBoosts.get(word) || 0);
+    if (delta !== 0) trie.boost(word, delta);
+    if (amount > 0) appliedBoosts.set(word, amount);
+    else appliedBoosts.delete(word);
+    return true;
+}
+
+function updateLearningStatus() {
+    if (!learningStatus) return;
+    const count = appliedBoosts.size;
+    learningStatus.textContent = count
+        ? `Learned boosts active for ${count} word${count === 1 ? '' : 's'} (half-life 14 days).`
+        : 'No learned boosts yet - pick suggestions to teach the ranking.';
+}
+
+// apply stored picks (decayed to now) to the current trie; returns how many were applied
+function applyLearnedBoosts() {
+    const now = Date.now();
+    const stored = getStoredLearning();
+    const kept = {};
+    let applied = 0;
+
+    Object.keys(stored).forEach(word => {
+        const weight = decayedWeight(stored[word], now);
+        if (weight < LEARNING_MIN_WEIGHT) return; // faded out, forget it
+        kept[word] = stored[word];
+        if (setLearnedBoost(word, weight)) applied++;
+    });
+
+    storeLearning(kept);
+    updateLearningStatus();
+    return applied;
+}
+
+// record a suggestion pick: decay the old boost to now, add one, persist
+function learnPick(word) {
+    const key = trie.keyOf(word); // one entry per trie key, whatever spelling was picked
+    const now = Date.now();
+    const stored = getStoredLearning();
+    const weight = decayedWeight(stored[key], now) + 1;
+
+    const inTrie = setLearnedBoost(key, weight);
+    const inWorker = setWorkerBoost(key, weight); // large dictionary (section 12), no-op otherwise
+    if (!inTrie && !inWorker) return;
+    stored[key] = { weight, at: now };
+    storeLearning(stored);
+    updateLearningStatus();
+}
+
+function forgetLearnedWord(word) {
+    const key = trie.keyOf(word);
+    const stored = getStoredLearning();
+    appliedBoosts.delete(key); // trie.delete already zeroed the node's weight
+    workerBoosts.delete(key);
+    if (stored[key]) {
+        delete stored[key];
+        storeLearning(stored);
+    }
+    updateLearningStatus();
+}
+
+function resetLearning() {
+    Array.from(appliedBoosts.keys()).forEach(word => setLearnedBoost(word, 0));
+    Array.from(workerBoosts.keys()).forEach(word => setWorkerBoost(word, 0));
+    clearStoredLearning();
+    updateLearningStatus();
+    redrawTrieDiagram();
+}
+
+if (learningResetBtn) {
+    learningResetBtn.addEventListener('click', resetLearning);
+}
+
+// restore boosts from earlier visits; the diagram was already drawn in section 7, so redraw if needed
+if (applyLearnedBoosts() > 0 && document.readyState !== 'loading') {
+    redrawTrieDiagram();
+}
+
+// 11. COMPRESSED STRUCTURES: DIAGRAM MODE AND SIDE-BY-SIDE STATS
+
+const structureModeSelect = document.getElementById('structure-mode');
+
+// node / edge counts for all three structures built from the same words
+function updateStructureStats() {
+    const table = document.getElementById('structure-stats');
+    if (!table) return;
+
+    const { radix, dawg } = buildCompressedViews();
+    const rows = [
+        ['trie', 'Trie', structureStats(trie.root)],
+        ['radix', 'Radix tree', structureStats(radix.root)],
+        ['dawg', 'Minimized DAWG', structureStats(dawg.root)]
+    ];
+    const baseNodes = rows[0][2].nodes || 1;
+
+    const tbody = table.querySelector('tbody') || table.appendChild(document.createElement('tbody'));
+    tbody.innerHTML = '';
+    rows.forEach(([mode, name, stats]) => {
+        const tr = document.createElement('tr');
+        if (mode === diagramMode) tr.classList.add('active');
+        const saved = Math.round((1 - stats.nodes / baseNodes) * 100);
+        [name, stats.nodes, stats.edges, stats.labelChars, mode === 'trie' ? '-' : `${saved}%`].forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = typeof value === 'number' ? value.toLocaleString() : value;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+}
+
+if (structureModeSelect) {
+    structureModeSelect.value = diagramMode;
+    structureModeSelect.addEventListener('change', () => {
+        diagramMode = structureModeSelect.value;
+        resetTrieDiagram(); // different node objects, skip the "added" animation
+        redrawTrieDiagram();
+        if (input && input.value) input.dispatchEvent(new Event('input')); // re-run query + highlight
+    });
+}
+
+updateStructureStats();
+
+// 12. WEB WORKER ENGINE FOR LARGE DICTIONARIES
+// the sample words stay on the main thread (they drive the diagram); a loaded word list
+// is built and queried inside trie-worker.js so typing never waits on it
+
+const wordlistFileInput = document.getElementById('wordlist-file');
+const wordlistGenerateBtn = document.getElementById('wordlist-generate');
+const wordlistResetBtn = document.getElementById('wordlist-reset');
+const wordlistProgress = document.getElementById('wordlist-progress');
+const wordlistStatus = document.getElementById('wordlist-status');
+
+const LARGE_VIEW_LIMIT = 60; // words drawn from the worker for the current prefix
+const GENERATED_WORD_COUNT = 200000;
+
+const WORKER_STOPPED = 'Trie worker stopped'; // rejection message for requests cut off by terminate()
+
+// promise-based wrapper around the worker's message API (see the top of trie-worker.js)
+class TrieWorkerClient {
+    constructor(url) {
+        this.worker = new Worker(url, { type: 'module' }); // trie-worker.js imports the engine
+        this.nextId = 1;
+        this.pending = new Map(); // id -> { resolve, reject, onProgress }
+        this.activeQueryId = null;
+
+        this.worker.addEventListener('message', (e) => {
+            const { id, ok, result, error, progress } = e.data || {};
+            const request = this.pending.get(id);
+            if (!request) return;
+
+            if (progress) {
+                if (request.onProgress) request.onProgress(progress);
+                return;
+            }
+
+            this.pending.delete(id);
+            if (ok) request.resolve(result);
+            else request.reject(new Error(error));
+        });
+
+        this.worker.addEventListener('error', (e) => { // worker failed to start or threw
+            const err = new Error(e.message || 'Trie worker failed');
+            this.pending.forEach(request => request.reject(err));
+            this.pending.clear();
+        });
+    }
+
+    request(type, payload = {}, onProgress = null) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onProgress });
+            this.worker.postMessage({ id, type, ...payload });
+        });
+    }
+
+    // newest query wins: the previous one is cancelled and resolves to null
+    async query(prefix, options = {}) {
+        if (this.activeQueryId !== null) {
+            this.worker.postMessage({ id: this.nextId++, type: 'cancel', target: this.activeQueryId });
+        }
+
+        const id = this.nextId;
+        this.activeQueryId = id;
+        try {
+            const result = await this.request('query', { prefix, ...options });
+            return result && !result.cancelled ? result.matches : null;
+        } finally { // a failed query must not stay "active" and get cancel messages later
+            if (this.activeQueryId === id) this.activeQueryId = null;
+        }
+    }
+
+    terminate() { // outstanding requests reject with WORKER_STOPPED, callers treat that as cancelled
+        this.worker.terminate();
+        const err = new Error(WORKER_STOPPED);
+        this.pending.forEach(request => request.reject(err));
+        this.pending.clear();
+        this.activeQueryId = null;
+    }
+}
+
+let workerEngine = null;
+const workerBoosts = new Map(); // word -> learned amount applied inside the worker
+
+function getWorkerEngine() { // created on first use; null where workers are unavailable
+    if (workerEngine) return workerEngine;
+    if (typeof Worker === 'undefined') return null;
+    try {
+        workerEngine = new TrieWorkerClient('trie-worker.js');
+    } catch (err) {
+        console.warn('trie-demo.js: could not start trie-worker.js', err);
+        workerEngine = null;
+    }
+    return workerEngine;
+}
+
+function setWordlistStatus(message) {
+    if (wordlistStatus) wordlistStatus.textContent = message;
+}
+
+function showWordlistProgress({ loaded, total }) {
+    if (!wordlistProgress) return;
+    wordlistProgress.hidden = false;
+    wordlistProgress.max = total;
+    wordlistProgress.value = loaded;
+    setWordlistStatus(`Building trie in the worker... ${loaded.toLocaleString()} / ${total.toLocaleString()} words`);
+}
+
+// forward a dictionary change to the worker while a large list is loaded
+function mirrorToWorker(type, payload) {
+    if (!largeDictionaryActive || !workerEngine) return Promise.resolve(null);
+    return workerEngine.request(type, payload)
+        .then(result => {
+            refreshLargeView(input ? phraseTail(input.value) : '');
+            return result;
+        })
+        .catch(err => {
+            console.warn(`trie-demo.js: worker ${type} failed`, err);
+            return null;
+        });
+}
+
+// learned boost for a word inside the worker (mirrors setLearnedBoost in section 10)
+function setWorkerBoost(word, amount) {
+    if (!largeDictionaryActive || !workerEngine) return false;
+    const delta = amount - (workerBoosts.get(word) || 0);
+    if (delta !== 0) workerEngine.request('boost', { word, amount: delta }).catch(() => {});
+    if (amount > 0) workerBoosts.set(word, amount);
+    else workerBoosts.delete(word);
+    return true;
+}
+
+// pull the top words under prefix from the worker and redraw the diagram with them
+let largeViewToken = 0;
+async function refreshLargeView(prefix, words = null) { // `words`: draw these pattern matches instead
+    if (!largeDictionaryActive || !workerEngine) return;
+    const token = ++largeViewToken;
+    try {
+        const snapshot = await workerEngine.request('subtree', { prefix, limit: LARGE_VIEW_LIMIT, words });
+        if (token !== largeViewToken || !largeDictionaryActive) return; // a newer keystroke took over
+        largeView = Trie.fromJSON(snapshot);
+        resetTrieDiagram(); // whole view swaps, skip the "added" animation
+        redrawTrieDiagram();
+        highlightQueryPath(input ? phraseTail(input.value) : prefix);
+    } catch (err) {
+        console.warn('trie-demo.js: could not fetch subtree from worker', err);
+    }
+}
+
+async function queryLargeDictionary(query, maxEdits, pattern = null) {
+    const engine = getWorkerEngine();
+    if (!engine) return;
+
+    try {
+        const matches = await engine.query(query, { k: pattern ? PATTERN_RESULT_LIMIT : 10, maxEdits, pattern });
+        if (matches === null) return; // cancelled by a newer keystroke
+        if (input.value.trim() !== query) return; // input moved on meanwhile
+        lastPatternMatches = pattern ? matches : null;
+        renderSuggestions(matches, query, maxEdits > 0, null, pattern);
+        refreshLargeView(pattern ? patternFocusPrefix(pattern) : query, pattern ? matches : null);
+    } catch (err) {
+        if (err.message !== WORKER_STOPPED) console.warn('trie-demo.js: worker query failed', err);
+    }
+}
+
+// resolves to the worker's load result, { cancelled: true } when another load or the sample
+// words replaced it, or { error } (already shown in the word-list status)
+async function loadLargeDictionary(payload, label) {
+    const engine = getWorkerEngine();
+    if (!engine) {
+        const error = 'Web Workers are not available here, large word lists cannot be loaded.';
+        setWordlistStatus(error);
+        return { error };
+    }
+
+    setWordlistStatus(`Loading ${label}...`);
+    try {
+        const result = await engine.request('load', { ...payload, keys: trie.keyOptions }, showWordlistProgress);
+        if (result.cancelled) return result; // another load started
+
+        largeDictionaryActive = true;
+        workerBoosts.clear();
+        const stored = getStoredLearning();
+        Object.keys(stored).forEach(word => { // carry learned picks over
+            const weight = decayedWeight(stored[word]);
+            if (weight >= LEARNING_MIN_WEIGHT) setWorkerBoost(word, weight);
+        });
+
+        setWordlistStatus(`Loaded ${label}: ${result.words.toLocaleString()} words, ${result.nodes.toLocaleString()} nodes, built in ${result.ms.toLocaleString()} ms (off the main thread).`);
+        if (wordlistResetBtn) wordlistResetBtn.disabled = false;
+        refreshLargeView(input ? phraseTail(input.value) : '');
+        if (input && input.value) input.dispatchEvent(new Event('input'));
+        return result;
+    } catch (err) {
+        if (err.message === WORKER_STOPPED) return { cancelled: true }; // back to the sample words, which set their own status
+        setWordlistStatus(`Could not load ${label}: ${err.message}`);
+        return { error: err.message };
+    } finally {
+        if (wordlistProgress) wordlistProgress.hidden = true;
+    }
+}
+
+function useSampleDictionary() { // drop the worker dictionary and go back to the sample words
+    largeDictionaryActive = false;
+    largeView = null;
+    workerBoosts.clear();
+    if (workerEngine) {
+        workerEngine.terminate();
+        workerEngine = null;
+    }
+    if (wordlistResetBtn) wordlistResetBtn.disabled = true;
+    setWordlistStatus('Using the built-in sample words.');
+    resetTrieDiagram();
+    redrawTrieDiagram();
+    if (input && input.value) input.dispatchEvent(new Event('input'));
+}
+
+if (wordlistFileInput) {
+    wordlistFileInput.addEventListener('change', async () => {
+        const file = wordlistFileInput.files && wordlistFileInput.files[0];
+        if (!file) return;
+        const text = await file.text(); // parsed inside the worker
+        loadLargeDictionary({ text }, `"${file.name}"`);
+        wordlistFileInput.value = '';
+    });
+}
+
+if (wordlistGenerateBtn) {
+    wordlistGenerateBtn.addEventListener('click', () => {
+        loadLargeDictionary({ generate: GENERATED_WORD_COUNT }, `${GENERATED_WORD_COUNT.toLocaleString()} generated words`);
+    });
+}
+
+if (wordlistResetBtn) {
+    wordlistResetBtn.disabled = true;
+    wordlistResetBtn.addEventListener('click', useSampleDictionary);
+}
+
+
+// 13. DIAGRAM VIEWPORT: ZOOM, PAN, FOLDING AND PREFIX FOCUS
+
+const diagramSvg = document.getElementById('trie-svg');
+const diagramZoomInBtn = document.getElementById('diagram-zoom-in');
+const diagramZoomOutBtn = document.getElementById('diagram-zoom-out');
+const diagramFitBtn = document.getElementById('diagram-fit');
+const diagramResetViewBtn = document.getElementById('diagram-reset-view');
+const diagramAutoFocusInput = document.getElementById('diagram-auto-focus');
+const diagramStatus = document.getElementById('diagram-status');
+
+const DRAG_THRESHOLD = 4; // px moved before a press counts as a pan rather than a click
+
+let viewportFrame = 0;
+
+function setDiagramStatus(message) {
+    if (diagramStatus) diagramStatus.textContent = message;
+}
+
+// pan / zoom only moves the viewport; re-cull once per frame
+function scheduleViewportRender() {
+    if (viewportFrame || !diagramSvg) return;
+    viewportFrame = requestAnimationFrame(() => {
+        viewportFrame = 0;
+        renderDiagramViewport(diagramSvg);
+        highlightQueryPath(input ? phraseTail(input.value) : ''); // color nodes that scrolled in
+        if (playback.current()) applyPlaybackClasses();
+    });
+}
+
+function zoomDiagramAt(factor, screenX, screenY) {
+    const scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, diagramView.scale * factor));
+    const ratio = scale / diagramView.scale;
+    // keep the world point under the cursor fixed
+    diagramView.x = screenX - (screenX - diagramView.x) * ratio;
+    diagramView.y = screenY - (screenY - diagramView.y) * ratio;
+    diagramView.scale = scale;
+    scheduleViewportRender();
+}
+
+function zoomDiagramCenter(factor) {
+    if (!diagramSvg) return;
+    zoomDiagramAt(factor, (diagramSvg.clientWidth || 800) / 2, (diagramSvg.clientHeight || 480) / 2);
+}
+
+function fitDiagram() {
+    if (!diagramSvg || !diagramLayout) return;
+    const { minX, maxX, maxY } = diagramLayout.bounds;
+    const width = diagramSvg.clientWidth || 800;
+    const height = diagramSvg.clientHeight || 480;
+    const pad = NODE_RADIUS * 3;
+    const scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, Math.min(
+        (width - pad * 2) / Math.max(maxX - minX, 1),
+        (height - pad * 2) / Math.max(maxY, 1)
+    )));
+    diagramView.scale = Math.min(scale, 1); // never blow a small trie up past 100%
+    diagramView.x = width / 2 - ((minX + maxX) / 2) * diagramView.scale;
+    diagramView.y = pad;
+    scheduleViewportRender();
+}
+
+function resetDiagramView() {
+    if (!diagramSvg || !diagramLayout) return;
+    diagramView.scale = 1;
+    centerDiagramOn(diagramSvg, diagramLayout.positions.get(diagramStructure.root));
+    scheduleViewportRender();
+}
+
+// relayout around a new prefix without rebuilding the compressed structures
+function focusTrieDiagram(prefix) {
+    if (prefix === diagramFocusPrefix) return;
+    diagramFocusPrefix = prefix;
+    if (!diagramSvg) return;
+
+    const structure = displayedStructure();
+    drawTrieSVG(structure, 'trie-svg');
+
+    // bring the deepest matched node into view
+    const path = prefix ? structure.matchPath(prefix) : [];
+    const target = path.length ? path[path.length - 1] : structure.root;
+    centerDiagramOn(diagramSvg, diagramLayout.positions.get(target));
+    renderDiagramViewport(diagramSvg);
+}
+
+// clicking a node folds / unfolds its children
+function toggleDiagramNode(node) {
+    const pos = diagramLayout && diagramLayout.positions.get(node);
+    if (!pos || Object.keys(node.children).length === 0) return;
+
+    collapseOverrides.set(node, pos.hidden > 0); // folded -> open it, open -> fold it
+    drawTrieSVG(diagramStructure, 'trie-svg');
+    highlightQueryPath(input ? phraseTail(input.value) : '');
+    setDiagramStatus(`${diagramLayout.positions.size.toLocaleString()} nodes laid out, ${nodeElementsMap.size.toLocaleString()} drawn.`);
+}
+
+if (diagramSvg) {
+    diagramSvg.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const box = diagramSvg.getBoundingClientRect();
+        zoomDiagramAt(e.deltaY < 0 ? 1.15 : 1 / 1.15, e.clientX - box.left, e.clientY - box.top);
+    }, { passive: false });
+
+    let drag = null;
+
+    diagramSvg.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        drag = { id: e.pointerId, startX: e.clientX, startY: e.clientY, x: diagramView.x, y: diagramView.y, moved: false, target: e.target };
+    });
+
+    diagramSvg.addEventListener('pointermove', (e) => {
+        if (!drag || drag.id !== e.pointerId) return;
+        const dx = e.clientX - drag.startX;
+        const dy = e.clientY - drag.startY;
+        if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+        if (!drag.moved) {
+            drag.moved = true;
+            diagramSvg.classList.add('panning');
+            if (diagramSvg.setPointerCapture) diagramSvg.setPointerCapture(e.pointerId);
+        }
+        diagramView.x = drag.x + dx;
+        diagramView.y = drag.y + dy;
+        scheduleViewportRender();
+    });
+
+    const endDrag = (e) => {
+        if (!drag || drag.id !== e.pointerId) return;
+        const { moved, target } = drag;
+        drag = null;
+        diagramSvg.classList.remove('panning');
+        if (!moved && e.type === 'pointerup' && target && target.__trie_node_ref) toggleDiagramNode(target.__trie_node_ref);
+    };
+
+    diagramSvg.addEventListener('pointerup', endDrag);
+    diagramSvg.addEventListener('pointercancel', endDrag);
+
+    window.addEventListener('resize', scheduleViewportRender);
+}
+
+if (diagramZoomInBtn) diagramZoomInBtn.addEventListener('click', () => zoomDiagramCenter(1.25));
+if (diagramZoomOutBtn) diagramZoomOutBtn.addEventListener('click', () => zoomDiagramCenter(1 / 1.25));
+if (diagramFitBtn) diagramFitBtn.addEventListener('click', fitDiagram);
+if (diagramResetViewBtn) diagramResetViewBtn.addEventListener('click', resetDiagramView);
+
+if (diagramAutoFocusInput) {
+    diagramAutoFocusInput.checked = diagramAutoFocus;
+    diagramAutoFocusInput.addEventListener('change', () => {
+        diagramAutoFocus = diagramAutoFocusInput.checked;
+        collapseOverrides.clear(); // manual folds were relative to the old mode
+        drawTrieSVG(displayedStructure(), 'trie-svg');
+        highlightQueryPath(input ? phraseTail(input.value) : '');
+    });
+}
+
+
+// 14. STEP-BY-STEP ALGORITHM PLAYBACK
+// traces from trie-engine.js (traceInsert / traceSearch / traceAutocomplete) are replayed on the
+// diagram: visited nodes keep an accent outline, the current one glows, nodes an insert has
+// not created yet stay faded until their step
+
+const playbackAlgorithmSelect = document.getElementById('playback-algorithm');
+const playbackWordInput = document.getElementById('playback-word');
+const playbackRunBtn = document.getElementById('playback-run');
+const playbackResults = document.getElementById('playback-results');
+
+const PLAYBACK_CLASSES = ['playback-visited', 'playback-current', 'playback-pending'];
+
+// Back / Play / Step / speed, the pseudocode list and the status line are the shared
+// controls from demo-ui.js (the algorithm visualizer uses the same ones)
+let playbackTarget = null; // { structure, createdAt: Map<node, stepIndex> } of the loaded trace
+
+const playback = createPlayback('playback', {
+    render: showPlaybackStep,
+    onStop: clearPlaybackClasses
+});
+
+function clearPlaybackClasses() {
+    nodeElementsMap.forEach((data) => {
+        [data.circle, data.label, data.parentLine].forEach(el => {
+            if (el) el.classList.remove(...PLAYBACK_CLASSES);
+        });
+    });
+}
+
+// mark the diagram for the current step (also re-run when panning draws new elements)
+function applyPlaybackClasses() {
+    clearPlaybackClasses();
+    const index = playback.index();
+    if (index < 0 || !playbackTarget || playbackTarget.structure !== diagramStructure) return;
+
+    const steps = playback.steps();
+    const visited = new Set();
+    for (let i = 0; i <= index; i++) visited.add(steps[i].node);
+    const current = steps[index].node;
+
+    nodeElementsMap.forEach((data, node) => {
+        const createdAt = playbackTarget.createdAt.get(node);
+        if (createdAt !== undefined && createdAt > index) { // insert has not reached it yet
+            [data.circle, data.label, data.parentLine].forEach(el => {
+                if (el) el.classList.add('playback-pending');
+            });
+            return;
+        }
+        if (!visited.has(node)) return;
+        data.circle.classList.add('playback-visited');
+        if (data.parentLine) data.parentLine.classList.add('playback-visited');
+        if (node === current) {
+            data.circle.classList.add('playback-current');
+            data.circle.setAttribute('fill', getAccentColor());
+        }
+    });
+}
+
+function showPlaybackStep(step) {
+    // keep the current node on screen
+    if (diagramSvg && playbackTarget && playbackTarget.structure === diagramStructure && !nodeElementsMap.has(step.node)) {
+        centerDiagramOn(diagramSvg, diagramLayout.positions.get(step.node));
+        renderDiagramViewport(diagramSvg);
+    }
+    applyPlaybackClasses();
+
+    if (playbackResults) {
+        playbackResults.innerHTML = '';
+        step.results.forEach(word => {
+            const li = document.createElement('li');
+            li.textContent = word;
+            playbackResults.appendChild(li);
+        });
+    }
+}
+
+function startPlayback() {
+    const algorithm = playbackAlgorithmSelect ? playbackAlgorithmSelect.value : 'autocomplete';
+    const word = (playbackWordInput && playbackWordInput.value || '').trim();
+
+    if (/\s/.test(word)) {
+        playback.setStatus('Please enter a single word (no spaces).');
+        return;
+    }
+    if (!word && algorithm !== 'autocomplete') {
+        playback.setStatus('Type a word first.');
+        return;
+    }
+    if (algorithm === 'insert' && largeDictionaryActive) {
+        playback.setStatus('Insert playback works on the built-in sample words, switch back to them first.');
+        return;
+    }
+
+    playback.stop();
+
+    // traces walk Trie nodes, so the diagram has to show the plain trie
+    if (diagramMode !== 'trie' && structureModeSelect) {
+        structureModeSelect.value = 'trie';
+        structureModeSelect.dispatchEvent(new Event('change'));
+    }
+
+    let trace;
+    if (algorithm === 'insert') {
+        trace = traceInsert(trie, word);
+        mirrorToWorker('insert', { word });
+        redrawTrieDiagram();
+    } else if (algorithm === 'search') {
+        trace = traceSearch(diagramSource(), word);
+    } else {
+        trace = traceAutocomplete(diagramSource(), word);
+    }
+
+    focusTrieDiagram(word); // unfold the path (and the subtree autocomplete walks)
+
+    const createdAt = new Map();
+    trace.steps.forEach((step, i) => {
+        if (step.action === 'create') createdAt.set(step.node, i);
+    });
+
+    playbackTarget = { structure: displayedStructure(), createdAt };
+
+    track('trie_playback', {
+        event_category: 'trie_demo',
+        event_label: algorithm
+    });
+
+    playback.load(trace, TRIE_PSEUDOCODE[algorithm]);
+}
+
+if (playbackRunBtn) playbackRunBtn.addEventListener('click', startPlayback);
+
+if (playbackWordInput) {
+    playbackWordInput.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        startPlayback();
+    });
+}
+
+playback.renderCode(TRIE_PSEUDOCODE[playbackAlgorithmSelect ? playbackAlgorithmSelect.value : 'autocomplete']);
+if (playbackAlgorithmSelect) {
+    playbackAlgorithmSelect.addEventListener('change', () => {
+        playback.stop('Press Trace to record the steps.');
+        playback.renderCode(TRIE_PSEUDOCODE[playbackAlgorithmSelect.value]);
+    });
+}
+
+
+// 15. UNICODE KEYS: NORMALIZATION, ACCENT FOLDING AND CASE FOLDING
+// changing an option rebuilds the trie (and the worker's word list) with the new keys;
+// words that now share a key are merged and their counts added up
+
+const keyFormSelect = document.getElementById('key-form');
+const keyLocaleSelect = document.getElementById('key-locale');
+const keyFoldAccentsInput = document.getElementById('key-fold-accents');
+const keyStatus = document.getElementById('key-status');
+
+function setKeyStatus(message) {
+    if (keyStatus) keyStatus.textContent = message;
+}
+
+function storeKeyOptions(options) {
+    try { localStorage.setItem(KEY_OPTIONS_STORAGE_KEY, JSON.stringify(options)); } catch(e) {}
+}
+
+function readKeyControls() {
+    return keyOptionsFrom({
+        form: keyFormSelect ? keyFormSelect.value : 'NFC',
+        locale: keyLocaleSelect ? keyLocaleSelect.value : '',
+        foldAccents: keyFoldAccentsInput ? keyFoldAccentsInput.checked : false
+    });
+}
+
+function showKeyControls(options) {
+    if (keyFormSelect) keyFormSelect.value = options.form;
+    if (keyLocaleSelect) keyLocaleSelect.value = options.locale;
+    if (keyFoldAccentsInput) keyFoldAccentsInput.checked = options.foldAccents;
+}
+
+// copy every word into a trie with new keys; learned boosts are re-applied by replaceTrie
+function rebuildTrieKeys(options) {
+    const next = new Trie(options);
+    for (const [word, { freq, weight }] of trie.entries()) {
+        next.insert(word, freq);
+        const base = weight - (appliedBoosts.get(trie.keyOf(word)) || 0); // snapshot weight without learning
+        if (base > 0) next.boost(word, base);
+    }
+
+    const before = structureStats(trie.root).nodes;
+    replaceTrie(next);
+    storeKeyOptions(options);
+    buildPhraseModel(phraseCorpusText); // phrase keys follow the word keys
+
+    const after = structureStats(trie.root).nodes;
+    setKeyStatus(`Rebuilt with ${options.form || 'no'} normalization${options.foldAccents ? ', accents folded' : ''}: ${before} → ${after} nodes.`);
+
+    if (largeDictionaryActive && workerEngine) { // keep the loaded word list on the same keys
+        workerEngine.request('rekey', { keys: options })
+            .then(result => {
+                setWordlistStatus(`Word list re-keyed: ${result.words.toLocaleString()} words, ${result.nodes.toLocaleString()} nodes.`);
+                refreshLargeView('');
+            })
+            .catch(err => setWordlistStatus(`Could not re-key the word list: ${err.message}`));
+    }
+}
+
+showKeyControls(trie.keyOptions);
+[keyFormSelect, keyLocaleSelect, keyFoldAccentsInput].forEach(control => {
+    if (control) control.addEventListener('change', () => rebuildTrieKeys(readKeyControls()));
+});
+
+
+// 16. KEYBOARD NAVIGATION IN THE DIAGRAM (ARIA TREE)
+// the svg is one tab stop; arrow keys move a focus ring between the drawn nodes and
+// aria-activedescendant points screen readers at the focused circle (tree pattern):
+//   Down / Up      next / previous node in reading order
+//   Right / Left   unfold or go to the first child / fold or go to the parent
+//   Home / End     first / last node, Enter or Space folds / unfolds
+
+// laid-out nodes in pre-order (the order a reader walks the tree)
+function visibleTreeOrder() {
+    if (!diagramLayout || !diagramStructure) return [];
+    const { positions } = diagramLayout;
+    const order = [];
+    const visit = (node) => {
+        const pos = positions.get(node);
+        order.push(node);
+        if (pos.hidden) return;
+        Object.keys(node.children).sort().forEach(key => {
+            const child = node.children[key];
+            const childPos = positions.get(child);
+            if (childPos && childPos.parent === node && childPos.letter === key) visit(child); // skip shared DAWG edges
+        });
+    };
+    visit(diagramStructure.root);
+    return order;
+}
+
+function firstVisibleChild(node) {
+    const order = visibleTreeOrder();
+    const pos = diagramLayout.positions.get(node);
+    if (!pos || pos.hidden) return null;
+    return order.find(other => diagramLayout.positions.get(other).parent === node) || null;
+}
+
+function focusDiagramNode(node) {
+    if (!diagramSvg || !diagramLayout) return;
+    const pos = diagramLayout.positions.get(node);
+    if (!pos) return;
+    keyboardNode = node;
+
+    // scroll the node into view when it is outside the visible frame
+    const width = diagramSvg.clientWidth || 800;
+    const height = diagramSvg.clientHeight || 480;
+    const sx = pos.x * diagramView.scale + diagramView.x;
+    const sy = pos.y * diagramView.scale + diagramView.y;
+    if (!nodeElementsMap.has(node) || sx < 0 || sx > width || sy < 0 || sy > height) {
+        centerDiagramOn(diagramSvg, pos);
+        renderDiagramViewport(diagramSvg);
+        highlightQueryPath(input ? phraseTail(input.value) : '');
+    }
+
+    nodeElementsMap.forEach((data, other) => data.circle.classList.toggle('keyboard-focus', other === node));
+    diagramSvg.setAttribute('aria-activedescendant', diagramNodeId(node));
+    setDiagramStatus(describeDiagramNode(pos, diagramStructure));
+}
+
+function toggleFocusedDiagramNode() {
+    if (!keyboardNode) return;
+    const node = keyboardNode;
+    toggleDiagramNode(node);
+    focusDiagramNode(node); // layout moved, keep the ring on the same node
+}
+
+let diagramPointerFocus = false; // focus that came from a click should not move the view
+
+if (diagramSvg) {
+    diagramSvg.addEventListener('pointerdown', () => { diagramPointerFocus = true; });
+    diagramSvg.addEventListener('pointerup', () => { diagramPointerFocus = false; });
+
+    diagramSvg.addEventListener('focus', () => {
+        if (diagramPointerFocus) return;
+        const laidOut = keyboardNode && diagramLayout && diagramLayout.positions.has(keyboardNode);
+        if (diagramStructure) focusDiagramNode(laidOut ? keyboardNode : diagramStructure.root);
+    });
+
+    diagramSvg.addEventListener('keydown', (e) => {
+        if (!diagramLayout || !diagramStructure) return;
+        const order = visibleTreeOrder();
+        const current = keyboardNode && diagramLayout.positions.has(keyboardNode) ? keyboardNode : diagramStructure.root;
+        const index = order.indexOf(current);
+        const pos = diagramLayout.positions.get(current);
+        let next = null;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                next = order[Math.min(index + 1, order.length - 1)];
+                break;
+            case 'ArrowUp':
+                next = order[Math.max(index - 1, 0)];
+                break;
+            case 'ArrowRight':
+                if (pos.hidden) {
+                    e.preventDefault();
+                    toggleFocusedDiagramNode();
+                    return;
+                }
+                next = firstVisibleChild(current);
+                break;
+            case 'ArrowLeft':
+                if (!pos.hidden && Object.keys(current.children).length && current !== diagramStructure.root) {
+                    e.preventDefault();
+                    toggleFocusedDiagramNode();
+                    return;
+                }
+                next = pos.parent;
+                break;
+            case 'Home':
+                next = order[0];
+                break;
+            case 'End':
+                next = order[order.length - 1];
+                break;
+            case 'Enter':
+            case ' ':
+                e.preventDefault();
+                toggleFocusedDiagramNode();
+                return;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        if (next) focusDiagramNode(next);
+    });
+}
+
+
+// 17. BENCHMARK PANEL: TRIE VS LINEAR SCAN VS BINARY SEARCH
+// the benchmark gets its own worker (trie-worker.js, 'benchmark' request) so a loaded word list
+// is left alone and the memory is released when the run ends
+
+const benchmarkSizeSelect = document.getElementById('benchmark-size');
+const benchmarkQueriesInput = document.getElementById('benchmark-queries');
+const benchmarkPrefixSelect = document.getElementById('benchmark-prefix');
+const benchmarkRunBtn = document.getElementById('benchmark-run');
+const benchmarkProgress = document.getElementById('benchmark-progress');
+const benchmarkStatus = document.getElementById('benchmark-status');
+const benchmarkCharts = document.getElementById('benchmark-charts');
+const benchmarkTable = document.getElementById('benchmark-table');
+
+const BAR_COLORS = ['#4da6ff', '#7dd3fc', '#f59e0b', '#a78bfa']; // cycled over the rows (one per strategy)
+
+function setBenchmarkStatus(message) {
+    if (benchmarkStatus) benchmarkStatus.textContent = message;
+}
+
+function formatDuration(ms) {
+    if (ms == null) return 'n/a';
+    if (ms < 1) return `${(ms * 1000).toFixed(ms < 0.01 ? 2 : 1)} µs`;
+    return `${ms.toFixed(ms < 10 ? 2 : 0)} ms`;
+}
+
+function formatBytes(bytes) {
+    if (bytes == null) return 'n/a';
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// horizontal bar chart, one row per { name } item: one chart per metric here, corpus terms in section 19
+function drawBarChart(title, results, valueOf, format, colors = BAR_COLORS) {
+    const rowHeight = 28;
+    const labelWidth = 190;
+    const width = 460;
+    const height = 36 + results.length * rowHeight;
+    const max = Math.max(...results.map(valueOf).filter(v => v != null), 0) || 1;
+
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', `${title}: ` + results.map(r => `${r.name} ${format(valueOf(r))}`).join(', '));
+    svg.classList.add('bar-chart');
+
+    const heading = document.createElementNS(svgNS, 'text');
+    heading.setAttribute('x', 12);
+    heading.setAttribute('y', 22);
+    heading.setAttribute('font-size', '13');
+    heading.classList.add('chart-title');
+    heading.textContent = title;
+    svg.appendChild(heading);
+
+    results.forEach((result, i) => {
+        const y = 34 + i * rowHeight;
+        const value = valueOf(result);
+
+        const label = document.createElementNS(svgNS, 'text');
+        label.setAttribute('x', 12);
+        label.setAttribute('y', y + 14);
+        label.setAttribute('font-size', '11');
+        label.classList.add('chart-label');
+        label.textContent = result.name;
+        svg.appendChild(label);
+
+        const barWidth = value == null ? 0 : Math.max(2, (value / max) * (width - labelWidth - 80));
+        const bar = document.createElementNS(svgNS, 'rect');
+        bar.setAttribute('x', labelWidth);
+        bar.setAttribute('y', y + 2);
+        bar.setAttribute('width', barWidth);
+        bar.setAttribute('height', rowHeight - 10);
+        bar.setAttribute('rx', 4);
+        bar.setAttribute('fill', colors[i % colors.length]);
+        svg.appendChild(bar);
+
+        const text = document.createElementNS(svgNS, 'text');
+        text.setAttribute('x', labelWidth + barWidth + 6);
+        text.setAttribute('y', y + 14);
+        text.setAttribute('font-size', '11');
+        text.classList.add('chart-value');
+        text.textContent = format(value);
+        svg.appendChild(text);
+    });
+
+    return svg;
+}
+
+function renderBenchmark(report) {
+    const { results } = report;
+
+    if (benchmarkCharts) {
+        benchmarkCharts.innerHTML = '';
+        benchmarkCharts.appendChild(drawBarChart('Build time', results, r => r.buildMs, formatDuration));
+        benchmarkCharts.appendChild(drawBarChart('Median query', results, r => r.medianMs, formatDuration));
+        benchmarkCharts.appendChild(drawBarChart('p95 query', results, r => r.p95Ms, formatDuration));
+        benchmarkCharts.appendChild(drawBarChart('Estimated memory', results, r => r.bytes, formatBytes));
+    }
+
+    if (benchmarkTable) {
+        const tbody = benchmarkTable.querySelector('tbody');
+        tbody.innerHTML = '';
+        results.forEach(result => {
+            const tr = document.createElement('tr');
+            [result.name, formatDuration(result.buildMs), formatDuration(result.medianMs), formatDuration(result.p95Ms), formatBytes(result.bytes)]
+                .forEach(value => {
+                    const td = document.createElement('td');
+                    td.textContent = value;
+                    tr.appendChild(td);
+                });
+            if (!result.consistent) {
+                tr.firstChild.classList.add('mismatch');
+                tr.firstChild.textContent += ' (different match counts!)';
+            }
+            tbody.appendChild(tr);
+        });
+        benchmarkTable.hidden = false;
+    }
+
+    const prefix = report.prefixLength ? `${report.prefixLength}-character` : 'mixed 1-4 character';
+    setBenchmarkStatus(`${report.size.toLocaleString()} words, ${report.queries.toLocaleString()} ${prefix} prefixes, each query run ${report.repeats}×. Memory is an estimate from object counts, not a heap measurement.`);
+}
+
+async function runBenchmarkPanel() {
+    if (typeof Worker === 'undefined') {
+        setBenchmarkStatus('Web Workers are not available here, the benchmark cannot run.');
+        return;
+    }
+
+    const engine = new TrieWorkerClient('trie-worker.js');
+    if (benchmarkRunBtn) benchmarkRunBtn.disabled = true;
+    if (benchmarkProgress) {
+        benchmarkProgress.hidden = false;
+        benchmarkProgress.removeAttribute('value');
+    }
+    setBenchmarkStatus('Starting benchmark...');
+
+    try {
+        const report = await engine.request('benchmark', {
+            size: benchmarkSizeSelect ? benchmarkSizeSelect.value : 50000,
+            queries: benchmarkQueriesInput ? benchmarkQueriesInput.value : 500,
+            prefixLength: benchmarkPrefixSelect ? benchmarkPrefixSelect.value : 0
+        }, (progress) => {
+            setBenchmarkStatus(`${progress.phase}...`);
+            if (benchmarkProgress && progress.total) {
+                benchmarkProgress.max = progress.total;
+                benchmarkProgress.value = progress.loaded;
+            }
+        });
+
+        renderBenchmark(report);
+        track('trie_benchmark', {
+            event_category: 'trie_demo',
+            event_label: `${report.size} words`
+        });
+    } catch (err) {
+        setBenchmarkStatus(`Benchmark failed: ${err.message}`);
+    } finally {
+        engine.terminate();
+        if (benchmarkRunBtn) benchmarkRunBtn.disabled = false;
+        if (benchmarkProgress) benchmarkProgress.hidden = true;
+    }
+}
+
+if (benchmarkRunBtn) {
+    benchmarkRunBtn.addEventListener('click', runBenchmarkPanel);
+}
+
+
+// 18. PHRASE PREDICTION (WORD N-GRAMS)
+// the model (NgramModel in trie-engine.js) counts bigrams and trigrams of a corpus in a trie of words;
+// "machine " suggests likely next words, "machine le" finishes the word from the same model
+
+const phraseCorpusInput = document.getElementById('phrase-corpus');
+const phraseBuildBtn = document.getElementById('phrase-build');
+const phraseFileInput = document.getElementById('phrase-file');
+const phraseStatus = document.getElementById('phrase-status');
+
+const PHRASE_SUGGESTION_LIMIT = 10;
+
+// built-in corpus so phrases work out of the box, written around the sample words
+const SAMPLE_PHRASE_CORPUS = `Machine learning models learn patterns from data.
+Machine learning engineers build neural network models.
+A neural network is a machine learning model.
+Deep learning uses a neural network with many layers.
+The data engineer cleans the database before machine learning.
+Cyber security protects the network from attacks.
+Cyber security teams encrypt data and secure the network.
+Encryption keeps user data secure on the internet.
+The web developer builds a website with javascript.
+The web developer uses python for the backend.
+A javascript function returns a value.
+A python function can call another function.
+The trie data structure stores words for fast autocomplete.
+A trie stores every word as a path of characters.
+Autocomplete suggests words from a prefix tree.
+The search engine uses a trie for query suggestions.
+Graph algorithms walk the graph one node at a time.
+The robot uses machine vision to avoid an obstacle.
+Quantum computing is a new frontier for security.
+The developer pushes code and devops deploys the website.`;
+
+let phraseModel = new NgramModel(trie.keyOptions);
+let phraseCorpusText = SAMPLE_PHRASE_CORPUS;
+
+function setPhraseStatus(message) {
+    if (phraseStatus) phraseStatus.textContent = message;
+}
+
+function buildPhraseModel(text) {
+    const next = new NgramModel(trie.keyOptions);
+    const tokens = next.ingest(text);
+    phraseModel = next;
+    phraseCorpusText = text;
+    setPhraseStatus(`Phrase model: ${tokens.toLocaleString()} words, ${next.vocabulary.toLocaleString()} distinct. Type a word and a space to see next-word predictions.`);
+}
+
+// learned pick weight of a word in the dictionary (0 for words only the corpus knows)
+function learnedWeight(word) {
+    const node = trie.getNode(word);
+    return node && node.isEnd ? node.weight || 0 : 0;
+}
+
+// full phrases for the suggestion list: model predictions first, then dictionary completions
+// of the partial word when the corpus has too few
+function predictPhrase({ lead, context, partial }) {
+    const predicted = phraseModel.predict(context, partial, PHRASE_SUGGESTION_LIMIT, learnedWeight).map(p => p.word);
+
+    if (partial && predicted.length < PHRASE_SUGGESTION_LIMIT) {
+        const seen = new Set(predicted.map(word => trie.keyOf(word)));
+        trie.topK(partial, PHRASE_SUGGESTION_LIMIT).forEach(word => {
+            if (!seen.has(trie.keyOf(word))) predicted.push(word);
+        });
+    }
+
+    return predicted.slice(0, PHRASE_SUGGESTION_LIMIT).map(word => lead + word);
+}
+
+if (phraseCorpusInput) phraseCorpusInput.value = SAMPLE_PHRASE_CORPUS;
+buildPhraseModel(SAMPLE_PHRASE_CORPUS);
+
+if (phraseBuildBtn) {
+    phraseBuildBtn.addEventListener('click', () => {
+        buildPhraseModel(phraseCorpusInput ? phraseCorpusInput.value : SAMPLE_PHRASE_CORPUS);
+        track('trie_phrase_model', {
+            event_category: 'trie_demo',
+            event_label: `${phraseModel.tokens} words`
+        });
+    });
+}
+
+if (phraseFileInput) {
+    phraseFileInput.addEventListener('change', async () => {
+        const file = phraseFileInput.files && phraseFileInput.files[0];
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            if (phraseCorpusInput) phraseCorpusInput.value = text;
+            buildPhraseModel(text);
+        } catch (err) {
+            console.warn('trie-demo.js: could not read corpus', err);
+            setPhraseStatus(`Could not read "${file.name}": ${err.message}`);
+        }
+
+        phraseFileInput.value = ''; // allow loading the same file again
+    });
+}
+
+
+// 19. CORPUS INGESTION: DICTIONARY FROM REAL WORD COUNTS
+// countTerms (trie-engine.js) tokenizes pasted text or an uploaded .txt / .csv (word,count lines),
+// drops stop words and rare terms, and every term goes in with Trie.insert(word, count) so
+// autocomplete ranks by real usage instead of falling back to alphabetical order
+
+const corpusTextInput = document.getElementById('corpus-text');
+const corpusFileInput = document.getElementById('corpus-file');
+const corpusStopWordsInput = document.getElementById('corpus-stop-words');
+const corpusMinCountInput = document.getElementById('corpus-min-count');
+const corpusMergeInput = document.getElementById('corpus-merge');
+const corpusBuildBtn = document.getElementById('corpus-build');
+const corpusStatus = document.getElementById('corpus-status');
+const corpusCharts = document.getElementById('corpus-charts');
+
+const CORPUS_LOCAL_MAX_TERMS = 5000; // more distinct terms go to the worker engine (section 12)
+const CORPUS_TOP_TERMS = 10;
+
+function setCorpusStatus(message) {
+    if (corpusStatus) corpusStatus.textContent = message;
+}
+
+// terms per count range, ranges double: 1, 2-3, 4-7, 8-15 ...
+function countHistogram(terms) {
+    const buckets = [];
+    terms.forEach(({ count }) => {
+        const index = Math.floor(Math.log2(count));
+        while (buckets.length <= index) {
+            const low = 2 ** buckets.length;
+            const high = low * 2 - 1;
+            buckets.push({ name: low === high ? `seen ${low}×` : `seen ${low}-${high}×`, terms: 0 });
+        }
+        buckets[index].terms++;
+    });
+    return buckets;
+}
+
+function renderCorpusCharts(terms) {
+    if (!corpusCharts) return;
+    corpusCharts.innerHTML = '';
+    if (terms.length === 0) {
+        corpusCharts.hidden = true;
+        return;
+    }
+
+    const top = terms.slice(0, CORPUS_TOP_TERMS).map(({ word, count }) => ({ name: word, count }));
+    const accent = [getAccentColor()];
+    corpusCharts.appendChild(drawBarChart(`Top ${top.length} terms`, top, t => t.count, count => count.toLocaleString(), accent));
+    corpusCharts.appendChild(drawBarChart('Terms by frequency', countHistogram(terms), b => b.terms, count => `${count.toLocaleString()} term${count === 1 ? '' : 's'}`, accent));
+    corpusCharts.hidden = false;
+}
+
+// the local trie's words with their counts and own weights; learned boosts are left out,
+// replaceTrie and loadLargeDictionary layer them on again
+function localDictionaryEntries() {
+    const entries = [];
+    for (const [word, { freq, weight }] of trie.entries()) {
+        entries.push({ word, freq, weight: weight - (appliedBoosts.get(trie.keyOf(word)) || 0) });
+    }
+    return entries;
+}
+
+async function buildCorpusDictionary(text, label) {
+    const minCount = Math.max(1, parseInt(corpusMinCountInput ? corpusMinCountInput.value : 1, 10) || 1);
+    const { terms, tokens, stopped, rare } = countTerms(text, {
+        stopWords: corpusStopWordsInput ? corpusStopWordsInput.checked : true,
+        minCount,
+        keyOptions: trie.keyOptions
+    });
+
+    if (terms.length === 0) {
+        setCorpusStatus(`No terms left in ${label} (${tokens.toLocaleString()} words read, ${stopped.toLocaleString()} stop words, ${rare.toLocaleString()} below the minimum count).`);
+        renderCorpusCharts(terms);
+        return;
+    }
+
+    const merge = corpusMergeInput ? corpusMergeInput.checked : false;
+    const skipped = [`${stopped.toLocaleString()} stop word${stopped === 1 ? '' : 's'} skipped`];
+    if (minCount > 1) skipped.push(`${rare.toLocaleString()} term${rare === 1 ? '' : 's'} seen fewer than ${minCount} times`);
+    const summary = `${terms.length.toLocaleString()} term${terms.length === 1 ? '' : 's'} from ${tokens.toLocaleString()} words (${skipped.join(', ')})`;
+
+    if (terms.length > CORPUS_LOCAL_MAX_TERMS) { // too many to draw and rank on the main thread
+        const words = terms.map(({ word, count }) => ({ word, freq: count }));
+        // the worker only holds the dictionary on screen once a large list is loaded,
+        // otherwise the local words travel with the corpus and the worker starts over
+        const mergeLocal = merge && !largeDictionaryActive;
+        setCorpusStatus(`${summary}, loading into the worker engine...`);
+        const outcome = await loadLargeDictionary({
+            words: mergeLocal ? localDictionaryEntries().concat(words) : words,
+            replace: !merge || mergeLocal
+        }, label);
+        if (outcome.error) {
+            setCorpusStatus(`Could not load ${label}: ${outcome.error}`);
+            return;
+        }
+        if (outcome.cancelled) {
+            setCorpusStatus(`Loading ${label} was cancelled.`);
+            return;
+        }
+        setCorpusStatus(`${summary}, ${merge ? 'merged into the dictionary in' : 'loaded into'} the worker engine.`);
+    } else {
+        if (largeDictionaryActive) useSampleDictionary();
+        const next = new Trie(trie.keyOptions);
+        if (merge) {
+            localDictionaryEntries().forEach(({ word, freq, weight }) => {
+                next.insert(word, freq);
+                if (weight > 0) next.boost(word, weight);
+            });
+        }
+        terms.forEach(({ word, count }) => next.insert(word, count));
+        replaceTrie(next);
+        setCorpusStatus(`${summary}, ${merge ? 'added to' : 'replacing'} the dictionary.`);
+    }
+
+    renderCorpusCharts(terms);
+    track('trie_corpus', {
+        event_category: 'trie_demo',
+        event_label: `${terms.length} terms`
+    });
+}
+
+if (corpusBuildBtn) {
+    corpusBuildBtn.addEventListener('click', () => {
+        const text = corpusTextInput ? corpusTextInput.value : '';
+        if (!text.trim()) {
+            setCorpusStatus('Paste some text or upload a corpus first.');
+            return;
+        }
+        buildCorpusDictionary(text, 'the pasted text').catch(err => {
+            console.warn('trie-demo.js: could not build the corpus dictionary', err);
+            setCorpusStatus(`Could not build the dictionary: ${err.message}`);
+        });
+    });
+}
+
+if (corpusFileInput) {
+    corpusFileInput.addEventListener('change', async () => {
+        const file = corpusFileInput.files && corpusFileInput.files[0];
+        if (!file) return;
+
+        try {
+            await buildCorpusDictionary(await file.text(), `"${file.name}"`);
+        } catch (err) {
+            console.warn('trie-demo.js: could not read corpus', err);
+            setCorpusStatus(`Could not read "${file.name}": ${err.message}`);
+        }
+
+        corpusFileInput.value = ''; // allow loading the same file again
+    });
+}
+
+
+// 20. SHAREABLE LINKS: DEMO STATE IN THE URL
+// the query string mirrors what is on screen, so a link reopens the same view:
+//   ?word=caterpillar          picked word, its path highlighted
+//   ?q=cat&mode=1              typed prefix (or phrase) and matching mode
+//   &focus=cat&view=radix      diagram subtree when it differs from the input, structure shown
+//   &words=0cat 3er*2 ...      edited word list (encodeWordList), left out for the sample words
+// picks, mode / structure switches and dictionary edits push a history entry, typing replaces
+// the current one after a pause, and back / forward replay the entries (popstate)
+
+const shareLinkBtn = document.getElementById('share-link');
+const shareStatus = document.getElementById('share-status');
+
+const DEMO_STATE_KEYS = ['q', 'word', 'focus', 'mode', 'view', 'words'];
+const SHARE_WORDS_MAX_CHARS = 4000; // longer word lists stay out of the URL (chat apps cut long links)
+const TYPING_STATE_DELAY_MS = 400;
+const SAMPLE_WORDS = new Set(words);
+
+let chosenWord = null; // last picked suggestion while it is still in the input
+let restoringDemoState = false; // applying a URL: the changes it makes must not write it back
+let typingEntry = false; // the current history entry was made by typing
+let typingStateTimer = 0;
+
+function setShareStatus(message) {
+    if (shareStatus) shareStatus.textContent = message;
+}
+
+function isSampleDictionary() {
+    if (trie.size !== SAMPLE_WORDS.size) return false;
+    for (const [word, { freq }] of trie.entries()) {
+        if (freq !== 1 || !SAMPLE_WORDS.has(word)) return false;
+    }
+    return true;
+}
+
+// '' for the sample words, null when the list cannot go into a link (worker dictionary or too long)
+function wordListParam() {
+    if (largeDictionaryActive) return null;
+    if (isSampleDictionary()) return '';
+    const text = encodeWordList(Array.from(trie.entries(), ([word, { freq }]) => [word, freq]));
+    return text.length <= SHARE_WORDS_MAX_CHARS ? text : null;
+}
+
+function optionValue(select, value, fallback) { // value if the select offers it, else fallback
+    return select && Array.from(select.options).some(option => option.value === value) ? value : fallback;
+}
+
+function demoStateUrl() {
+    const params = new URLSearchParams();
+    const value = input ? input.value.replace(/^\s+/, '') : '';
+    if (chosenWord && value !== chosenWord) chosenWord = null; // typed over the pick
+    if (chosenWord) params.set('word', chosenWord);
+    else if (value.trim()) params.set('q', value);
+
+    // focus only when it is not the one the input gives anyway (section 5)
+    const tail = phraseTail(value);
+    const pattern = chosenWord ? null : getPatternQuery(tail);
+    if (diagramFocusPrefix !== (pattern ? patternFocusPrefix(pattern) : tail)) params.set('focus', diagramFocusPrefix);
+
+    if (matchModeSelect && matchModeSelect.value !== '0') params.set('mode', matchModeSelect.value);
+    if (diagramMode !== 'trie') params.set('view', diagramMode);
+    const list = wordListParam();
+    if (list) params.set('words', list);
+
+    const url = new URL(location.href);
+    url.search = params.toString();
+    return { url: url.href, wordsOmitted: list === null };
+}
+
+function saveDemoState(push = false) {
+    if (restoringDemoState) return;
+    clearTimeout(typingStateTimer);
+    typingStateTimer = 0;
+    if (push) typingEntry = false;
+
+    const { url, wordsOmitted } = demoStateUrl();
+    if (url === location.href) return;
+    try {
+        // wordsOmitted: going back here must keep the dictionary instead of reloading the sample
+        history[push ? 'pushState' : 'replaceState']({ wordsOmitted }, '', url);
+    } catch (e) {} // Safari throws when a page rewrites its URL too often
+}
+
+// the first pause after a commit starts a new entry, later pauses update that entry
+function saveTypedState() {
+    saveDemoState(!typingEntry);
+    typingEntry = true;
+}
+
+function restoreWordList(text) {
+    if (largeDictionaryActive || text === wordListParam()) return;
+
+    const next = new Trie(trie.keyOptions);
+    if (text) {
+        try {
+            decodeWordList(text).forEach(({ word, freq }) => next.insert(word, freq));
+        } catch (err) {
+            setShareStatus(`Could not read the word list in this link: ${err.message}.`);
+            return;
+        }
+    } else {
+        words.forEach(w => next.insert(w));
+    }
+    replaceTrie(next);
+}
+
+function applyDemoState(params, keepWords = false) {
+    restoringDemoState = true;
+    try {
+        // word list first: replaceTrie clears the input
+        if (!keepWords) restoreWordList(params.get('words') || '');
+
+        const view = optionValue(structureModeSelect, params.get('view'), 'trie');
+        if (structureModeSelect && view !== diagramMode) {
+            structureModeSelect.value = view;
+            structureModeSelect.dispatchEvent(new Event('change'));
+        }
+        if (matchModeSelect) matchModeSelect.value = optionValue(matchModeSelect, params.get('mode'), '0');
+        if (!input) return;
+
+        chosenWord = params.get('word') || null;
+        input.value = chosenWord || params.get('q') || '';
+
+        if (chosenWord) { // a pick: path highlighted, list closed, no learning boost for opening a link
+            const word = phraseTail(chosenWord);
+            lastExplored = null;
+            lastPatternMatches = null;
+            closeSuggestions();
+            announceSuggestions('');
+            focusTrieDiagram(params.has('focus') ? params.get('focus') : word);
+            highlightQueryPath(word);
+            highlightWordInSVG(word);
+        } else {
+            input.dispatchEvent(new Event('input')); // suggestions, focus and highlight as if typed
+            if (params.has('focus')) {
+                focusTrieDiagram(params.get('focus'));
+                highlightQueryPath(phraseTail(input.value));
+            }
+        }
+    } finally {
+        restoringDemoState = false;
+    }
+}
+
+if (input) {
+    input.addEventListener('input', () => {
+        if (restoringDemoState) return;
+        clearTimeout(typingStateTimer);
+        typingStateTimer = setTimeout(saveTypedState, TYPING_STATE_DELAY_MS);
+    });
+}
+if (matchModeSelect) matchModeSelect.addEventListener('change', () => saveDemoState(true));
+if (structureModeSelect) structureModeSelect.addEventListener('change', () => saveDemoState(true));
+
+window.addEventListener('popstate', (e) => {
+    clearTimeout(typingStateTimer);
+    typingStateTimer = 0;
+    typingEntry = false;
+    applyDemoState(new URLSearchParams(location.search), !!(e.state && e.state.wordsOmitted));
+});
+
+if (shareLinkBtn) {
+    shareLinkBtn.addEventListener('click', async () => {
+        if (typingStateTimer) saveTypedState(); // the last keystrokes are not in the address yet
+        else saveDemoState();
+
+        const url = location.href;
+        let note = '';
+        if (wordListParam() === null) {
+            note = largeDictionaryActive
+                ? ' The loaded word list stays on this device, the link opens with the sample words.'
+                : ` The word list is over ${SHARE_WORDS_MAX_CHARS.toLocaleString()} characters, so the link opens with the sample words.`;
+        }
+
+        try {
+            await navigator.clipboard.writeText(url);
+            setShareStatus(`Link copied.${note}`);
+        } catch (err) { // no clipboard access (insecure origin, permission denied)
+            setShareStatus(`Copy this link: ${url}${note}`);
+        }
+
+        track('trie_share', {
+            event_category: 'trie_demo',
+            event_label: chosenWord || (input ? input.value.trim() : '')
+        });
+    });
+}
+
+// opened from a link: rebuild the view it describes
+const initialDemoState = new URLSearchParams(location.search);
+if (DEMO_STATE_KEYS.some(key => initialDemoState.has(key))) {
+    setShareStatus(initialDemoState.get('word') ? `Opened a link to "${initialDemoState.get('word')}".` : 'Opened a shared link.');
+    applyDemoState(initialDemoState); // may replace the status if the word list cannot be read
 }
 
 
@@ -0,0 +1,1591 @@
+/* ============================================================
+   TRIE ENGINE (DOM-FREE DATA STRUCTURES)
+   ES module shared by trie-demo.js (page) and trie-worker.js (module Web Worker)
+   ============================================================ */
+
+// No DOM, no globals: runs in the page, in a worker and under Node (node --test, a REPL, scripts)
+//
+//   import { Trie } from './trie-engine.js';
+//   const trie = new Trie();
+//   trie.insert('apple', 3);
+//   trie.autocomplete('ap');   // ['apple']
+//   trie.has('apple');         // true
+//   [...trie.entries()];       // [['apple', { freq: 3, weight: 0 }]]
+//
+// Public API: the exported names below. Members starting with "_" are internal.
+
+// 1. TRIE DATA STRUCTURES AND METHODS
+
+const TRIE_SNAPSHOT_FORMAT = 'trie-snapshot'; // tag checked when importing JSON snapshots
+const TRIE_SNAPSHOT_VERSION = 2; // 2: key options stored with the snapshot
+
+// KEYS: every word is normalized before it touches the trie, then split into graphemes so
+// each edge is one visible character ("é", "🇫🇷", "👩‍💻") whatever code points it is made of.
+// Suggestions keep the spelling that was inserted (stored as node.path on end nodes)
+//   form:        Unicode normalization applied to keys ('NFC', 'NFD', 'NFKC', 'NFKD' or '' for none)
+//   foldAccents: strip combining marks so "café", "cafe" and "CAFÉ" share one path
+//   locale:      BCP 47 tag for case folding ('tr' maps "I" to "ı"), '' uses the default mapping
+const DEFAULT_KEY_OPTIONS = { form: 'NFC', foldAccents: false, locale: '' };
+const KEY_FORMS = ['NFC', 'NFD', 'NFKC', 'NFKD'];
+
+function keyOptionsFrom(options) { // fill defaults, drop unknown values (options come from snapshots / storage)
+    const merged = { ...DEFAULT_KEY_OPTIONS, ...(options || {}) };
+    return {
+        form: KEY_FORMS.includes(merged.form) ? merged.form : '',
+        foldAccents: !!merged.foldAccents,
+        locale: typeof merged.locale === 'string' ? merged.locale : ''
+    };
+}
+
+function normalizeKey(text, options = DEFAULT_KEY_OPTIONS) {
+    let key = String(text);
+    try {
+        key = options.locale ? key.toLocaleLowerCase(options.locale) : key.toLowerCase();
+    } catch (e) {
+        key = key.toLowerCase(); // invalid locale tag
+    }
+    if (options.foldAccents) key = key.normalize('NFD').replace(/\p{M}+/gu, '');
+    return options.form ? key.normalize(options.form) : key;
+}
+
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+
+function splitGraphemes(text) {
+    if (/^[\x20-\x7e]*$/.test(text)) return text.split(''); // plain ASCII, the common case
+    if (graphemeSegmenter) return Array.from(graphemeSegmenter.segment(text), part => part.segment);
+    return text.match(/\P{M}\p{M}*|\p{M}+/gu) || []; // no Intl.Segmenter: base character + its marks
+}
+
+class TrieNode { // represents each node in the trie
+    constructor() {
+        this.children = {};
+        this.isEnd = false;
+        this.freq = 0; // frequency for weighted suggestions
+        this.weight = 0; // learned boost for this word (suggestion picks)
+        this.subtreeFreq = 0; // sum of freq over this subtree
+        this.subtreeWeight = 0; // cumulative weight for subtree
+        this.maxScore = 0; // best freq + weight of any word in subtree (bounds topK search)
+        this.path = ''; // path set during insert
+    }
+}
+
+class PriorityQueue { // binary heap, `before(a, b)` true when a should pop first
+    constructor(before) {
+        this.before = before;
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) { // sift up
+            const parent = (i - 1) >> 1;
+            if (!this.before(items[i], items[parent])) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        if (items.length === 0) return undefined;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) { // sift down
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let first = i;
+                if (left < items.length && this.before(items[left], items[first])) first = left;
+                if (right < items.length && this.before(items[right], items[first])) first = right;
+                if (first === i) break;
+                [items[i], items[first]] = [items[first], items[i]];
+                i = first;
+            }
+        }
+        return top;
+    }
+}
+
+class Trie { // main trie structure
+    constructor(keyOptions = DEFAULT_KEY_OPTIONS) {
+        this.root = new TrieNode();
+        this.keyOptions = keyOptionsFrom(keyOptions); // see KEYS above
+        this._size = 0;
+    }
+
+    /** Number of distinct words (by key) in the trie. */
+    get size() {
+        return this._size;
+    }
+
+    keyOf(word) { // normalized lookup key for a word or prefix
+        return normalizeKey(word, this.keyOptions);
+    }
+
+    _keyChars(word) { // one entry per edge
+        return splitGraphemes(this.keyOf(word));
+    }
+
+    /**
+     * Add a word, or add `frequency` to it when its key is already present.
+     * @param {string} word
+     * @param {number} [frequency=1]
+     */
+    insert(word, frequency = 1) {
+        let node = this.root;
+        let path = "";
+        const visited = [node]; // root..end, for propagating subtree totals
+        for (let char of this._keyChars(word)) {
+            path += char;
+            if (!node.children[char]) {
+                node.children[char] = new TrieNode();
+                node.children[char].path = path; // store path fragment for tooltip/help
+            }
+            node = node.children[char];
+            visited.push(node);
+        }
+        if (!node.isEnd) {
+            node.path = word; // full word at end node (first spelling wins when keys fold together)
+            this._size++;
+        }
+        node.isEnd = true;
+        node.freq += frequency;
+
+        visited.forEach(n => { n.subtreeFreq += frequency; });
+        this._refreshScores(visited);
+    }
+
+    /**
+     * Add learned weight to a word (ranks it higher in suggestions).
+     * @param {string} word
+     * @param {number} [amount=1]
+     * @returns {boolean} false when the word is not in the trie
+     */
+    boost(word, amount = 1) {
+        const visited = this._pathNodes(word);
+        if (!visited) return false;
+        const node = visited[visited.length - 1];
+        if (!node.isEnd) return false;
+
+        node.weight = (node.weight || 0) + amount;
+        visited.forEach(n => { n.subtreeWeight += amount; });
+        this._refreshScores(visited);
+        return true;
+    }
+
+    _pathNodes(word) { // root..last node of word, or null if the path breaks
+        let node = this.root;
+        const visited = [node];
+        for (let char of this._keyChars(word)) {
+            if (!node.children[char]) return null;
+            node = node.children[char];
+            visited.push(node);
+        }
+        return visited;
+    }
+
+    _refreshScores(visited) { // recompute subtree maxima bottom-up along a root..node path
+        for (let i = visited.length - 1; i >= 0; i--) {
+            const node = visited[i];
+            let max = node.isEnd ? node.freq + (node.weight || 0) : 0;
+            for (let char in node.children) {
+                max = Math.max(max, node.children[char].maxScore);
+            }
+            node.maxScore = max;
+        }
+    }
+
+    /**
+     * The k best completions of a prefix, same order as autocomplete() without sorting everything:
+     * best-first search that expands the subtree with the highest maxScore first.
+     * @param {string} prefix
+     * @param {number} [k=10]
+     * @returns {string[]}
+     */
+    topK(prefix, k = 10) {
+        prefix = this.keyOf(prefix);
+        const start = this.getNode(prefix);
+        if (!start || k <= 0) return [];
+
+        // items are either a subtree to expand (priority = maxScore) or a finished word (priority = score)
+        const queue = new PriorityQueue((a, b) => {
+            if (a.priority !== b.priority) return a.priority > b.priority;
+            const order = a.word.localeCompare(b.word);
+            if (order !== 0) return order < 0;
+            return a.isWord && !b.isWord; // a word before its own subtree
+        });
+
+        queue.push({ node: start, word: prefix, priority: start.maxScore, isWord: false });
+        const results = [];
+
+        while (queue.size > 0 && results.length < k) {
+            const item = queue.pop();
+
+            if (item.isWord) {
+                results.push(item.node.path || item.word); // inserted spelling
+                continue;
+            }
+
+            const node = item.node;
+            if (node.isEnd) {
+                queue.push({ node, word: item.word, priority: node.freq + (node.weight || 0), isWord: true });
+            }
+            for (let char in node.children) {
+                const child = node.children[char];
+                queue.push({ node: child, word: item.word + char, priority: child.maxScore, isWord: false });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Every word starting with prefix, by weighted frequency then alphabetically.
+     * @param {string} prefix
+     * @returns {string[]} words as inserted
+     */
+    autocomplete(prefix) {
+        prefix = this.keyOf(prefix);
+        let node = this.root;
+
+        for (let char of splitGraphemes(prefix)) {
+            if (!node.children[char]) return [];
+            node = node.children[char];
+        }
+
+        return this._collect(node, prefix) // gather words from this node
+            .sort((a, b) => {
+                const aw = (a.freq + (a.weight || 0));
+                const bw = (b.freq + (b.weight || 0));
+                if (bw !== aw) return bw - aw; // weighted frequency
+                return a.word.localeCompare(b.word); // alphabetical
+            })
+            .map(x => x.word);
+    }
+
+    _collect(node, prefix) { // helper to collect words from a given node
+        let results = [];
+
+        if (node.isEnd) results.push({ word: node.path || prefix, freq: node.freq, weight: node.weight });
+
+        for (let char in node.children) {
+            results.push(...this._collect(node.children[char], prefix + char));
+        }
+
+        return results;
+    }
+
+    /**
+     * Node at the end of word's path (for highlighting), whether or not it ends a word.
+     * @param {string} word
+     * @returns {TrieNode|null}
+     */
+    getNode(word) {
+        let node = this.root;
+        for (let char of this._keyChars(word)) {
+            if (!node.children[char]) return null;
+            node = node.children[char];
+        }
+        return node;
+    }
+
+    /**
+     * @param {string} word
+     * @returns {boolean} true when word was inserted (not just a prefix of other words)
+     */
+    has(word) {
+        const node = this.getNode(word);
+        return !!node && node.isEnd;
+    }
+
+    /** Remove every word, keeping the key options. */
+    clear() {
+        this.root = new TrieNode();
+        this._size = 0;
+    }
+
+    /**
+     * Every word with its counts, in trie order (children in insertion order).
+     * Iterative, so it is safe on large dictionaries.
+     * @returns {IterableIterator<[string, { freq: number, weight: number }]>}
+     */
+    *entries() {
+        const stack = [this.root];
+        while (stack.length) {
+            const node = stack.pop();
+            if (node.isEnd) yield [node.path, { freq: node.freq, weight: node.weight || 0 }];
+            const keys = Object.keys(node.children);
+            for (let i = keys.length - 1; i >= 0; i--) stack.push(node.children[keys[i]]);
+        }
+    }
+
+    /** @returns {IterableIterator<string>} every word as inserted, in trie order */
+    *words() {
+        for (const [word] of this.entries()) yield word;
+    }
+
+    [Symbol.iterator]() {
+        return this.words();
+    }
+
+    matchPath(prefix) { // nodes along the longest matching part of prefix (for highlighting)
+        const nodes = [];
+        let node = this.root;
+        for (let char of this._keyChars(prefix)) {
+            if (!node.children[char]) break;
+            node = node.children[char];
+            nodes.push(node);
+        }
+        return nodes;
+    }
+
+    /**
+     * Typo-tolerant autocomplete: walks the trie with a Damerau-Levenshtein (OSA) budget,
+     * distance = fewest edits turning the query into some prefix of the word.
+     * @param {string} query
+     * @param {number} [maxEdits=1]
+     * @returns {{ results: { word: string, distance: number, freq: number, weight: number }[], explored: Set<TrieNode> }}
+     */
+    fuzzyAutocomplete(query, maxEdits = 1) {
+        query = this._keyChars(query); // compared per grapheme, like the edges
+        const n = query.length;
+        const results = [];
+        const explored = new Set(); // nodes where an alignment was still within budget
+
+        const firstRow = Array.from({ length: n + 1 }, (_, i) => i); // root: query vs empty prefix
+
+        const collectAll = (node, word, distance) => { // whole subtree already matched
+            if (node.isEnd) results.push({ word: node.path || word, distance, freq: node.freq, weight: node.weight });
+            for (let char in node.children) collectAll(node.children[char], word + char, distance);
+        };
+
+        const walk = (node, char, word, prevRow, prevPrevRow, prevChar, best) => {
+            const row = [prevRow[0] + 1];
+
+            for (let i = 1; i <= n; i++) {
+                const cost = query[i - 1] === char ? 0 : 1;
+                row[i] = Math.min(row[i - 1] + 1, prevRow[i] + 1, prevRow[i - 1] + cost);
+
+                // adjacent transposition ("aplpe" -> "apple")
+                if (i > 1 && prevPrevRow && query[i - 1] === prevChar && query[i - 2] === char) {
+                    row[i] = Math.min(row[i], prevPrevRow[i - 2] + 1);
+                }
+            }
+
+            best = Math.min(best, row[n]);
+
+            if (Math.min(...row) > maxEdits) { // no alignment can improve from here on
+                if (best <= maxEdits) collectAll(node, word, best); // plain completions of a match
+                return; // otherwise prune branch
+            }
+
+            explored.add(node);
+            if (node.isEnd && best <= maxEdits) {
+                results.push({ word: node.path || word, distance: best, freq: node.freq, weight: node.weight });
+            }
+
+            for (let next in node.children) {
+                walk(node.children[next], next, word + next, row, prevRow, char, best);
+            }
+        };
+
+        if (n <= maxEdits) collectAll(this.root, '', n); // tiny query: every word is within budget
+        else {
+            for (let char in this.root.children) {
+                walk(this.root.children[char], char, char, firstRow, null, '', Infinity);
+            }
+        }
+
+        results.sort((a, b) => {
+            if (a.distance !== b.distance) return a.distance - b.distance; // closest first
+            const aw = (a.freq + (a.weight || 0));
+            const bw = (b.freq + (b.weight || 0));
+            if (bw !== aw) return bw - aw; // weighted frequency
+            return a.word.localeCompare(b.word); // alphabetical
+        });
+
+        return { results, explored };
+    }
+
+    /**
+     * Remove a word and prune the nodes left without children.
+     * @param {string} word
+     * @returns {boolean} false when the word was not in the trie
+     */
+    delete(word) {
+        const key = this.keyOf(word);
+        const stack = []; // [parent, char] pairs along the path
+        let node = this.root;
+
+        for (let char of splitGraphemes(key)) {
+            if (!node.children[char]) return false; // word not in trie
+            stack.push([node, char]);
+            node = node.children[char];
+        }
+
+        if (!node.isEnd) return false; // only a prefix of other words
+
+        // take this word's totals out of every subtree on its path
+        const visited = [this.root, ...stack.slice(1).map(([parent]) => parent), node];
+        visited.forEach(n => {
+            n.subtreeFreq -= node.freq;
+            n.subtreeWeight -= (node.weight || 0);
+        });
+
+        node.isEnd = false;
+        node.freq = 0;
+        node.weight = 0;
+        node.path = key; // back to plain path fragment
+        this._size--;
+
+        // walk back up, dropping nodes that no longer lead anywhere
+        for (let i = stack.length - 1; i >= 0; i--) {
+            const [parent, char] = stack[i];
+            const child = parent.children[char];
+            if (child.isEnd || Object.keys(child.children).length > 0) break;
+            delete parent.children[char];
+        }
+
+        this._refreshScores(visited); // pruned nodes are no longer children, so they drop out
+        return true;
+    }
+
+    // SNAPSHOTS: JSON (nested, readable) and binary (compact) - both keep isEnd, freq, weight per node
+
+    toJSON() { // also picked up by JSON.stringify(trie)
+        const encode = (node, path) => {
+            const out = {};
+            if (node.isEnd) {
+                out.e = 1;
+                out.f = node.freq;
+                if (node.weight) out.w = node.weight;
+                if (node.path && node.path !== path) out.p = node.path; // original spelling
+            }
+            const keys = Object.keys(node.children);
+            if (keys.length > 0) {
+                out.c = {};
+                keys.forEach(key => { out.c[key] = encode(node.children[key], path + key); });
+            }
+            return out;
+        };
+
+        return { format: TRIE_SNAPSHOT_FORMAT, version: TRIE_SNAPSHOT_VERSION, keys: this.keyOptions, root: encode(this.root, '') };
+    }
+
+    static fromJSON(data) { // accepts the object from toJSON() or its JSON string
+        const snapshot = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!snapshot || snapshot.format !== TRIE_SNAPSHOT_FORMAT || !snapshot.root) {
+            throw new Error('Not a trie snapshot');
+        }
+        if (snapshot.version > TRIE_SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported trie snapshot version ${snapshot.version}`);
+        }
+
+        let trie = new Trie(snapshot.keys); // version 1 snapshots have no keys: defaults
+        const decode = (raw, node, path) => {
+            node.path = path;
+            if (raw.e) {
+                node.isEnd = true;
+                node.freq = Number(raw.f) || 0;
+                node.weight = Number(raw.w) || 0;
+                if (typeof raw.p === 'string') node.path = raw.p;
+                trie._size++;
+            }
+            for (let key in (raw.c || {})) {
+                const child = new TrieNode();
+                node.children[key] = child;
+                decode(raw.c[key], child, path + key);
+            }
+        };
+
+        decode(snapshot.root, trie.root, '');
+        trie._recomputeAggregates();
+        return trie;
+    }
+
+    // binary layout: "TRIE" magic, version byte, key options (JSON string, version 2+), then nodes in pre-order:
+    // flags (1 = end, 2 = weight, 4 = original spelling), [freq varint], [weight float64],
+    // [spelling string], child count varint, then (key string, child node) per child
+    // strings are a varint byte length followed by UTF-8 bytes
+    toBinary() {
+        const bytes = [];
+        const encoder = new TextEncoder();
+
+        const writeVarint = (value) => {
+            let v = Math.max(0, Math.round(value));
+            while (v >= 0x80) {
+                bytes.push((v % 0x80) | 0x80);
+                v = Math.floor(v / 0x80);
+            }
+            bytes.push(v);
+        };
+        const writeString = (str) => {
+            const encoded = encoder.encode(str);
+            writeVarint(encoded.length);
+            encoded.forEach(b => bytes.push(b));
+        };
+        const writeFloat = (value) => {
+            const view = new DataView(new ArrayBuffer(8));
+            view.setFloat64(0, value);
+            for (let i = 0; i < 8; i++) bytes.push(view.getUint8(i));
+        };
+
+        const encode = (node, path) => {
+            const spelled = node.isEnd && node.path && node.path !== path;
+            const flags = (node.isEnd ? 1 : 0) | (node.isEnd && node.weight ? 2 : 0) | (spelled ? 4 : 0);
+            bytes.push(flags);
+            if (node.isEnd) writeVarint(node.freq);
+            if (flags & 2) writeFloat(node.weight);
+            if (flags & 4) writeString(node.path);
+
+            const keys = Object.keys(node.children);
+            writeVarint(keys.length);
+            keys.forEach(key => {
+                writeString(key);
+                encode(node.children[key], path + key);
+            });
+        };
+
+        encoder.encode('TRIE').forEach(b => bytes.push(b));
+        bytes.push(TRIE_SNAPSHOT_VERSION);
+        writeString(JSON.stringify(this.keyOptions));
+        encode(this.root, '');
+        return Uint8Array.from(bytes);
+    }
+
+    static fromBinary(buffer) { // ArrayBuffer or Uint8Array from toBinary()
+        const data = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const decoder = new TextDecoder();
+        let offset = 0;
+
+        const need = (count) => {
+            if (offset + count > data.length) throw new Error('Trie snapshot is truncated');
+        };
+        const readByte = () => {
+            need(1);
+            return data[offset++];
+        };
+        const readVarint = () => {
+            let value = 0;
+            let scale = 1;
+            for (;;) {
+                const b = readByte();
+                value += (b & 0x7f) * scale;
+                if (b < 0x80) return value;
+                scale *= 0x80;
+            }
+        };
+        const readString = () => {
+            const length = readVarint();
+            need(length);
+            const str = decoder.decode(data.subarray(offset, offset + length));
+            offset += length;
+            return str;
+        };
+        const readFloat = () => {
+            need(8);
+            const value = view.getFloat64(offset);
+            offset += 8;
+            return value;
+        };
+
+        if (decoder.decode(data.subarray(0, 4)) !== 'TRIE') throw new Error('Not a binary trie snapshot');
+        offset = 4;
+        const version = readByte();
+        if (version > TRIE_SNAPSHOT_VERSION) throw new Error(`Unsupported trie snapshot version ${version}`);
+
+        let keyOptions = DEFAULT_KEY_OPTIONS;
+        if (version >= 2) {
+            try {
+                keyOptions = JSON.parse(readString());
+            } catch (e) {
+                throw new Error('Trie snapshot has unreadable key options');
+            }
+        }
+
+        let trie = new Trie(keyOptions); // replaced wholesale when a snapshot is imported
+        const decode = (node, path) => {
+            const flags = readByte();
+            node.path = path;
+            if (flags & 1) {
+                node.isEnd = true;
+                node.freq = readVarint();
+                trie._size++;
+            }
+            if (flags & 2) node.weight = readFloat();
+            if (flags & 4) node.path = readString();
+
+            const count = readVarint();
+            for (let i = 0; i < count; i++) {
+                const key = readString();
+                const child = new TrieNode();
+                node.children[key] = child;
+                decode(child, path + key);
+            }
+        };
+
+        decode(trie.root, '');
+        trie._recomputeAggregates();
+        return trie;
+    }
+
+    _recomputeAggregates(node = this.root) { // rebuild subtree totals after bulk changes (post-order)
+        node.subtreeFreq = node.isEnd ? node.freq : 0;
+        node.subtreeWeight = node.isEnd ? (node.weight || 0) : 0;
+        node.maxScore = node.isEnd ? node.freq + (node.weight || 0) : 0;
+
+        for (let char in node.children) {
+            const child = node.children[char];
+            this._recomputeAggregates(child);
+            node.subtreeFreq += child.subtreeFreq;
+            node.subtreeWeight += child.subtreeWeight;
+            node.maxScore = Math.max(node.maxScore, child.maxScore);
+        }
+    }
+}
+
+// 2. COMPRESSED VARIANTS: RADIX (PATRICIA) TRIE AND MINIMIZED DAWG
+// same insert/autocomplete/matchPath API as Trie so the UI can swap them in
+
+function sharedPrefix(a, b) { // longest common prefix, compared per grapheme (not per code unit)
+    const ac = splitGraphemes(a);
+    const bc = splitGraphemes(b);
+    let i = 0;
+    while (i < ac.length && i < bc.length && ac[i] === bc[i]) i++;
+    return ac.slice(0, i).join('');
+}
+
+function rankWeighted(results) { // same ordering as Trie.autocomplete: weighted frequency, then alphabetical
+    return results
+        .sort((a, b) => {
+            const aw = (a.freq + (a.weight || 0));
+            const bw = (b.freq + (b.weight || 0));
+            if (bw !== aw) return bw - aw;
+            return a.word.localeCompare(b.word);
+        })
+        .map(x => x.word);
+}
+
+class RadixNode { // edge labels are whole strings, single-child chains are merged
+    constructor() {
+        this.children = {}; // label -> RadixNode, labels of siblings never share a first char
+        this.isEnd = false;
+        this.freq = 0;
+        this.weight = 0;
+        this.path = '';
+    }
+}
+
+class RadixTrie {
+    constructor(keyOptions = DEFAULT_KEY_OPTIONS) {
+        this.root = new RadixNode();
+        this.keyOptions = keyOptionsFrom(keyOptions); // same keys as the Trie it is built from
+    }
+
+    _edgeFor(node, rest) { // child label starting with the same character as rest
+        const first = splitGraphemes(rest)[0];
+        return Object.keys(node.children).find(label => splitGraphemes(label)[0] === first);
+    }
+
+    insert(word, frequency = 1, weight = 0) {
+        let node = this.root;
+        let rest = normalizeKey(word, this.keyOptions);
+        let consumed = '';
+
+        while (rest) {
+            const label = this._edgeFor(node, rest);
+
+            if (!label) { // nothing shares this branch: hang the remainder off as one leaf
+                const leaf = new RadixNode();
+                leaf.path = consumed + rest;
+                node.children[rest] = leaf;
+                node = leaf;
+                break;
+            }
+
+            const shared = sharedPrefix(label, rest);
+            if (shared !== label) { // split the edge at the point where the words diverge
+                const mid = new RadixNode();
+                mid.path = consumed + shared;
+                mid.children[label.slice(shared.length)] = node.children[label];
+                delete node.children[label];
+                node.children[shared] = mid;
+            }
+
+            node = node.children[shared];
+            consumed += shared;
+            rest = rest.slice(shared.length);
+        }
+
+        if (!node.isEnd) node.path = word; // inserted spelling, shown in suggestions
+        node.isEnd = true;
+        node.freq += frequency;
+        node.weight += weight;
+    }
+
+    _locate(prefix) { // walk prefix, possibly ending inside an edge
+        let node = this.root;
+        let rest = normalizeKey(prefix, this.keyOptions);
+        let consumed = '';
+        const nodes = [];
+
+        while (rest) {
+            const label = this._edgeFor(node, rest);
+            if (!label) return { node: null, consumed, nodes };
+            const shared = sharedPrefix(label, rest); // whole graphemes only
+            if (shared !== label && shared !== rest) return { node: null, consumed, nodes };
+
+            node = node.children[label];
+            nodes.push(node);
+            consumed += label;
+            rest = rest.length > label.length ? rest.slice(label.length) : '';
+        }
+
+        return { node, consumed, nodes };
+    }
+
+    autocomplete(prefix) {
+        const { node, consumed } = this._locate(prefix);
+        if (!node) return [];
+
+        const results = [];
+        const collect = (n, word) => {
+            if (n.isEnd) results.push({ word: n.path || word, freq: n.freq, weight: n.weight });
+            for (let label in n.children) collect(n.children[label], word + label);
+        };
+        collect(node, consumed);
+        return rankWeighted(results);
+    }
+
+    matchPath(prefix) {
+        return this._locate(prefix).nodes;
+    }
+}
+
+class DawgNode { // state of the minimized automaton, shared by every word with the same suffix set
+    constructor(id) {
+        this.id = id;
+        this.children = {};
+        this.isEnd = false;
+    }
+}
+
+// minimized DAWG (Daciuk et al. incremental construction over sorted words)
+// suffix sharing means end states belong to many words, so freq/weight live in a side table
+class Dawg {
+    constructor(keyOptions = DEFAULT_KEY_OPTIONS) {
+        this.entries = new Map(); // key -> { freq, weight, word } (word = inserted spelling)
+        this.root = new DawgNode(0);
+        this.keyOptions = keyOptionsFrom(keyOptions);
+        this._dirty = false;
+    }
+
+    insert(word, frequency = 1, weight = 0) {
+        const key = normalizeKey(word, this.keyOptions);
+        const entry = this.entries.get(key) || { freq: 0, weight: 0, word };
+        entry.freq += frequency;
+        entry.weight += weight;
+        this.entries.set(key, entry);
+        this._dirty = true; // minimization needs the full sorted list, rebuild lazily
+    }
+
+    _build() {
+        if (!this._dirty) return;
+        this._dirty = false;
+
+        let nextId = 0;
+        this.root = new DawgNode(nextId++);
+        const register = new Map(); // signature -> canonical node
+        const unchecked = []; // { parent, char, child } along the last inserted word
+        let previous = [];
+
+        const signature = (node) => (node.isEnd ? '1' : '0') + Object.keys(node.children)
+            .sort()
+            .map(char => char + ':' + node.children[char].id)
+            .join(',');
+
+        const minimize = (downTo) => { // merge finished suffix states with equivalent registered ones
+            for (let i = unchecked.length - 1; i >= downTo; i--) {
+                const { parent, char, child } = unchecked[i];
+                const sig = signature(child);
+                if (register.has(sig)) parent.children[char] = register.get(sig);
+                else register.set(sig, child);
+                unchecked.pop();
+            }
+        };
+
+        Array.from(this.entries.keys()).sort().forEach(word => {
+            const chars = splitGraphemes(word);
+            let common = 0;
+            while (common < chars.length && common < previous.length && chars[common] === previous[common]) common++;
+
+            minimize(common);
+
+            let node = unchecked.length ? unchecked[unchecked.length - 1].child : this.root;
+            chars.slice(common).forEach(char => {
+                const next = new DawgNode(nextId++);
+                node.children[char] = next;
+                unchecked.push({ parent: node, char, child: next });
+                node = next;
+            });
+
+            node.isEnd = true;
+            previous = chars;
+        });
+
+        minimize(0);
+    }
+
+    autocomplete(prefix) {
+        this._build();
+        prefix = normalizeKey(prefix, this.keyOptions);
+        let node = this.root;
+        for (let char of splitGraphemes(prefix)) {
+            if (!node.children[char]) return [];
+            node = node.children[char];
+        }
+
+        const results = [];
+        const collect = (n, word) => {
+            if (n.isEnd) {
+                const entry = this.entries.get(word) || { freq: 0, weight: 0, word };
+                results.push({ word: entry.word, freq: entry.freq, weight: entry.weight });
+            }
+            for (let char in n.children) collect(n.children[char], word + char);
+        };
+        collect(node, prefix);
+        return rankWeighted(results);
+    }
+
+    matchPath(prefix) {
+        this._build();
+        const nodes = [];
+        let node = this.root;
+        for (let char of splitGraphemes(normalizeKey(prefix, this.keyOptions))) {
+            if (!node.children[char]) break;
+            node = node.children[char];
+            nodes.push(node);
+        }
+        return nodes;
+    }
+}
+
+// count distinct nodes and edges reachable from root (DAG-safe, shared nodes counted once)
+function structureStats(root) {
+    const seen = new Set();
+    let edges = 0;
+    let labelChars = 0;
+    const stack = [root];
+
+    while (stack.length) {
+        const node = stack.pop();
+        if (seen.has(node)) continue;
+        seen.add(node);
+        for (let key in node.children) {
+            edges++;
+            labelChars += splitGraphemes(key).length;
+            stack.push(node.children[key]);
+        }
+    }
+
+    return { nodes: seen.size, edges, labelChars };
+}
+
+// 3. HELPER: ALIGN A FUZZY MATCH (FOR MARKING DIFFERING CHARACTERS)
+// returns how many chars (graphemes) of `word` the query lined up with, plus a flag per char
+// that is true where the word differs from what was typed (substitution, extra char, swap)
+// both sides are compared as keys, so with accent folding "cafe" does not flag the "é" of "café"
+
+function alignFuzzyMatch(query, word, keyOptions = DEFAULT_KEY_OPTIONS) {
+    const q = splitGraphemes(normalizeKey(query, keyOptions));
+    const w = splitGraphemes(normalizeKey(word, keyOptions));
+    const n = q.length;
+    const m = w.length;
+
+    // full OSA distance matrix between query and every prefix of word
+    const d = Array.from({ length: n + 1 }, (_, i) => {
+        const row = new Array(m + 1).fill(0);
+        row[0] = i;
+        return row;
+    });
+    for (let j = 0; j <= m; j++) d[0][j] = j;
+
+    for (let i = 1; i <= n; i++) {
+        for (let j = 1; j <= m; j++) {
+            const cost = q[i - 1] === w[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && q[i - 1] === w[j - 2] && q[i - 2] === w[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    // best prefix of the word, preferring the one closest in length to the query
+    let matchedLength = 0;
+    for (let j = 1; j <= m; j++) {
+        const better = d[n][j] < d[n][matchedLength];
+        const tieCloser = d[n][j] === d[n][matchedLength] && Math.abs(j - n) < Math.abs(matchedLength - n);
+        if (better || tieCloser) matchedLength = j;
+    }
+
+    // backtrace to find which word chars were not plain matches
+    const marks = new Array(m).fill(false);
+    let i = n;
+    let j = matchedLength;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && q[i - 1] === w[j - 1] && d[i][j] === d[i - 1][j - 1]) {
+            i--; j--; // match
+        } else if (i > 1 && j > 1 && q[i - 1] === w[j - 2] && q[i - 2] === w[j - 1] && d[i][j] === d[i - 2][j - 2] + 1) {
+            marks[j - 1] = marks[j - 2] = true; // transposed pair
+            i -= 2; j -= 2;
+        } else if (i > 0 && j > 0 && d[i][j] === d[i - 1][j - 1] + 1) {
+            marks[j - 1] = true; // substitution
+            i--; j--;
+        } else if (j > 0 && d[i][j] === d[i][j - 1] + 1) {
+            marks[j - 1] = true; // char the query skipped
+            j--;
+        } else {
+            i--; // extra char typed, nothing to mark in the word
+        }
+    }
+
+    return { matchedLength, marks };
+}
+
+
+// 4. ALGORITHM TRACES (FOR STEP-BY-STEP PLAYBACK)
+// each trace follows the same walk as insert / getNode / _collect and records one step per
+// action: { line, action, node, prefix, note, results } where `line` indexes TRIE_PSEUDOCODE
+
+const TRIE_PSEUDOCODE = {
+    insert: [
+        'node ← root',
+        'for each char c in word:',
+        '    if c not in node.children:',
+        '        node.children[c] ← new TrieNode()',
+        '    node ← node.children[c]',
+        'node.isEnd ← true, node.freq += 1',
+        'add freq to every node on the path'
+    ],
+    search: [
+        'node ← root',
+        'for each char c in word:',
+        '    if c not in node.children: return null',
+        '    node ← node.children[c]',
+        'return node  (word found if node.isEnd)'
+    ],
+    autocomplete: [
+        'node ← root',
+        'for each char c in prefix:',
+        '    if c not in node.children: return []',
+        '    node ← node.children[c]',
+        'collect(node, prefix):',
+        '    if node.isEnd: emit prefix',
+        '    for each child c: collect(child, prefix + c)',
+        'sort results by weighted frequency'
+    ]
+};
+
+const TRACE_STEP_LIMIT = 2000; // long enough for the sample dictionary, stops runaway traces
+
+// walks `word` and inserts it for real; created nodes are looked up afterwards so steps
+// point at the nodes the diagram draws
+function traceInsert(trie, word, frequency = 1) {
+    const chars = trie._keyChars(word);
+    const created = [];
+    let node = trie.root;
+    for (let char of chars) { // dry run: which characters need a new node
+        node = node ? node.children[char] : null;
+        created.push(!node);
+    }
+
+    trie.insert(word, frequency);
+    const path = trie.matchPath(word);
+
+    const steps = [{ line: 0, action: 'visit', node: trie.root, prefix: '', note: 'Start at the root', results: [] }];
+    let prefix = '';
+    chars.forEach((char, i) => {
+        const parent = i === 0 ? trie.root : path[i - 1];
+        steps.push({ line: 1, action: 'visit', node: parent, prefix, note: `Next character "${char}"`, results: [] });
+        steps.push({ line: 2, action: 'visit', node: parent, prefix, note: created[i] ? `No "${char}" child yet` : `"${char}" child exists`, results: [] });
+        prefix += char;
+        if (created[i]) steps.push({ line: 3, action: 'create', node: path[i], prefix, note: `Create node "${prefix}"`, results: [] });
+        steps.push({ line: 4, action: 'visit', node: path[i], prefix, note: `Move to "${prefix}"`, results: [] });
+    });
+
+    const end = path.length ? path[path.length - 1] : trie.root;
+    steps.push({ line: 5, action: 'mark-end', node: end, prefix, note: `Mark "${prefix}" as a word (freq ${end.freq})`, results: [end.path] });
+    steps.push({ line: 6, action: 'done', node: end, prefix, note: `Updated subtree totals on ${path.length + 1} nodes`, results: [end.path] });
+
+    return { algorithm: 'insert', steps, created: path.filter((_, i) => created[i]) };
+}
+
+// walk down `prefix` (shared by search and autocomplete), returns the reached node or null
+function traceDescend(trie, prefix, steps) {
+    let node = trie.root;
+    let walked = '';
+    steps.push({ line: 0, action: 'visit', node, prefix: '', note: 'Start at the root', results: [] });
+
+    for (let char of trie._keyChars(prefix)) {
+        steps.push({ line: 1, action: 'visit', node, prefix: walked, note: `Next character "${char}"`, results: [] });
+        if (!node.children[char]) {
+            steps.push({ line: 2, action: 'missing', node, prefix: walked, note: `No "${char}" child, stop`, results: [] });
+            return null;
+        }
+        node = node.children[char];
+        walked += char;
+        steps.push({ line: 3, action: 'visit', node, prefix: walked, note: `Move to "${walked}"`, results: [] });
+    }
+    return node;
+}
+
+function traceSearch(trie, word) {
+    const steps = [];
+    const node = traceDescend(trie, word, steps);
+    if (node) {
+        const found = node.isEnd;
+        steps.push({
+            line: 4,
+            action: found ? 'emit' : 'done',
+            node,
+            prefix: word,
+            note: found ? `Found "${node.path}"` : `"${word}" is only a prefix, not a word`,
+            results: found ? [node.path] : []
+        });
+    }
+    return { algorithm: 'search', steps, found: !!(node && node.isEnd) };
+}
+
+function traceAutocomplete(trie, prefix) {
+    const steps = [];
+    const start = traceDescend(trie, prefix, steps);
+    if (!start) return { algorithm: 'autocomplete', steps, results: [], truncated: false };
+
+    const results = [];
+    let truncated = false;
+
+    const collect = (node, word) => { // same order as Trie._collect
+        if (steps.length >= TRACE_STEP_LIMIT) {
+            truncated = true;
+            return;
+        }
+        steps.push({ line: 4, action: 'visit', node, prefix: word, note: `collect("${word}")`, results: results.slice() });
+        if (node.isEnd) {
+            results.push(node.path || word);
+            steps.push({ line: 5, action: 'emit', node, prefix: word, note: `Emit "${node.path || word}"`, results: results.slice() });
+        }
+        for (let char in node.children) {
+            if (truncated) return;
+            steps.push({ line: 6, action: 'visit', node, prefix: word, note: `Descend into "${word + char}"`, results: results.slice() });
+            collect(node.children[char], word + char);
+        }
+    };
+    collect(start, trie.keyOf(prefix));
+
+    const ranked = trie.autocomplete(prefix).filter(word => results.includes(word));
+    steps.push({
+        line: 7,
+        action: 'done',
+        node: start,
+        prefix,
+        note: truncated ? `Stopped after ${TRACE_STEP_LIMIT} steps, ranked what was collected` : `Ranked ${ranked.length} result${ranked.length === 1 ? '' : 's'}`,
+        results: ranked
+    });
+
+    return { algorithm: 'autocomplete', steps, results: ranked, truncated };
+}
+
+
+// 5. PATTERN QUERIES: WILDCARDS, SUFFIXES AND SUBSTRINGS
+// `?` matches one character, `*` any run (also empty). Patterns of the form `*text` and `*text*`
+// are answered from a generalized suffix trie when one is given, everything else walks the trie
+
+const PATTERN_WILDCARDS = /[?*]/;
+
+function isPatternQuery(text) {
+    return PATTERN_WILDCARDS.test(text);
+}
+
+// turn a match mode + typed text into one pattern string ('suffix' -> *text, 'contains' -> *text*)
+function toPatternQuery(mode, text) {
+    const query = String(text);
+    if (mode === 'suffix') return isPatternQuery(query) ? query : '*' + query;
+    if (mode === 'contains') return isPatternQuery(query) ? query : '*' + query + '*';
+    return query;
+}
+
+class SuffixTrieNode {
+    constructor() {
+        this.children = {};
+        this.words = new Set(); // every word with a suffix through this node (substring matches)
+        this.endings = new Set(); // words whose suffix ends here (suffix matches)
+    }
+}
+
+// generalized suffix trie: every suffix of every word, O(total length²) nodes so it is meant
+// for dictionaries up to a few ten thousand words (see SUFFIX_INDEX_MAX_WORDS in the worker)
+class SuffixTrie {
+    constructor(keyOptions = DEFAULT_KEY_OPTIONS) {
+        this.root = new SuffixTrieNode();
+        this.keyOptions = keyOptionsFrom(keyOptions);
+        this.size = 0;
+    }
+
+    static fromTrie(trie) {
+        const index = new SuffixTrie(trie.keyOptions);
+        for (const word of trie.words()) index.insert(word);
+        return index;
+    }
+
+    insert(word) {
+        const chars = splitGraphemes(normalizeKey(word, this.keyOptions));
+        for (let start = 0; start < chars.length; start++) {
+            let node = this.root;
+            for (let i = start; i < chars.length; i++) {
+                const char = chars[i];
+                if (!node.children[char]) node.children[char] = new SuffixTrieNode();
+                node = node.children[char];
+                node.words.add(word);
+            }
+            node.endings.add(word);
+        }
+        this.size++;
+    }
+
+    _walk(text) {
+        let node = this.root;
+        for (let char of splitGraphemes(normalizeKey(text, this.keyOptions))) {
+            node = node.children[char];
+            if (!node) return null;
+        }
+        return node;
+    }
+
+    endsWith(suffix) {
+        const node = this._walk(suffix);
+        return node ? Array.from(node.endings) : [];
+    }
+
+    contains(text) {
+        const node = this._walk(text);
+        return node ? Array.from(node.words) : [];
+    }
+}
+
+// depth-first walk of the forward trie; (node, pattern index) states are visited once,
+// which keeps runs of `*` from exploring the same branch over and over
+function wildcardMatch(trie, pattern) {
+    const chars = trie._keyChars(pattern); // ? and * survive normalization unchanged
+    const results = [];
+    const seen = new Map(); // node -> Set of pattern positions already tried
+
+    const walk = (node, i, word) => {
+        let states = seen.get(node);
+        if (!states) seen.set(node, states = new Set());
+        if (states.has(i)) return;
+        states.add(i);
+
+        if (i === chars.length) {
+            if (node.isEnd) results.push({ word: node.path || word, freq: node.freq, weight: node.weight });
+            return;
+        }
+
+        const char = chars[i];
+        if (char === '*') {
+            walk(node, i + 1, word); // empty run
+            for (let key in node.children) walk(node.children[key], i, word + key);
+        } else if (char === '?') {
+            for (let key in node.children) walk(node.children[key], i + 1, word + key);
+        } else if (node.children[char]) {
+            walk(node.children[char], i + 1, word + char);
+        }
+    };
+
+    walk(trie.root, 0, '');
+    return results;
+}
+
+// answer a pattern; returns ranked words plus which strategy was used (shown in the UI)
+function patternSearch(trie, pattern, suffixIndex = null) {
+    const query = trie.keyOf(pattern);
+    const inner = query.replace(/^\*+|\*+$/g, '');
+    const literal = !isPatternQuery(inner); // only leading / trailing stars around plain text
+    const leading = query.startsWith('*');
+    const trailing = query.endsWith('*') && inner.length > 0;
+
+    const entriesFor = (words) => words.map(word => { // look weights up in the trie so boosts count
+        const node = trie.getNode(word);
+        return { word, freq: node ? node.freq : 0, weight: node ? node.weight : 0 };
+    });
+
+    if (!isPatternQuery(query)) {
+        const node = trie.getNode(query);
+        return { matches: node && node.isEnd ? [node.path] : [], strategy: 'exact' };
+    }
+    if (literal && !leading && trailing) {
+        return { matches: trie.autocomplete(inner), strategy: 'prefix' };
+    }
+    if (literal && leading && suffixIndex && inner) {
+        const words = trailing ? suffixIndex.contains(inner) : suffixIndex.endsWith(inner);
+        return { matches: rankWeighted(entriesFor(words)), strategy: trailing ? 'substring-index' : 'suffix-index' };
+    }
+    return { matches: rankWeighted(wildcardMatch(trie, query)), strategy: 'wildcard-walk' };
+}
+
+// which characters (graphemes) of `word` were matched by literal pattern characters (for bolding)
+function alignPatternMatch(pattern, word, keyOptions = DEFAULT_KEY_OPTIONS) {
+    const key = normalizeKey(word, keyOptions);
+    const segments = Array.from(normalizeKey(pattern, keyOptions).matchAll(/\*+|\?|[^?*]+/g), m => m[0]);
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const grapheme = '(?:\\P{M}\\p{M}*)'; // ? stands for one visible character
+    const source = segments.map(seg => seg[0] === '*' ? `(${grapheme}*?)` : seg === '?' ? `(${grapheme})` : `(${escape(seg)})`).join('');
+    const match = new RegExp(`^${source}$`, 'su').exec(key);
+
+    const marks = new Array(splitGraphemes(key).length).fill(false);
+    if (!match) return marks;
+
+    let position = 0;
+    segments.forEach((seg, i) => {
+        const length = splitGraphemes(match[i + 1]).length;
+        if (seg[0] !== '*' && seg !== '?') marks.fill(true, position, position + length);
+        position += length;
+    });
+    return marks;
+}
+
+
+// 6. HELPER: GET WORD FROM ROOT TO NODE (FOR TOOLTIP)
+// keeping this simple by implementing DFS search
+// only needed for nodes without a stored path (DAWG states are shared by many words)
+
+function getWordFromNode(targetNode, root) { // DFS to find path from root to targetNode
+    let word = '';
+    let found = false;
+
+    function dfs(node, path) { // depth-first search
+        if (found) return;
+
+        if (node === targetNode) {
+            word = path;
+            found = true;
+            return;
+        }
+
+        for (let key in node.children) { // explore children
+            dfs(node.children[key], path + key);
+            if (found) return;
+        }
+    }
+
+    dfs(root, '');
+    return word;
+}
+
+// 7. PHRASE PREDICTION: WORD N-GRAMS
+// a trie whose edges are whole (normalized) words: the node for "machine learning" counts that bigram,
+// its children count the trigrams "machine learning X". Candidates come from the longest context
+// that was followed by a matching word (backoff), their probabilities interpolate the trigram,
+// bigram and unigram estimates (contexts never seen drop out and the rest are rescaled)
+
+const NGRAM_ORDER = 3; // trigrams: the two previous words predict the next one
+const NGRAM_LAMBDAS = [0.1, 0.3, 0.6]; // weight of the unigram, bigram and trigram estimates
+const PHRASE_TOKEN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu; // words, keeping "don't" and "state-of-the-art"
+
+function tokenizePhrases(text) { // sentences of word tokens; n-grams never cross . ! ? ; : or line breaks
+    return String(text)
+        .split(/[.!?;:\n\r]+/)
+        .map(sentence => sentence.match(PHRASE_TOKEN) || [])
+        .filter(tokens => tokens.length > 0);
+}
+
+class NgramNode {
+    constructor() {
+        this.children = {}; // next word key -> NgramNode
+        this.count = 0; // times this word sequence occurred
+        this.total = 0; // sum of children counts (denominator for next-word probabilities)
+    }
+}
+
+class NgramModel {
+    constructor(keyOptions = DEFAULT_KEY_OPTIONS, order = NGRAM_ORDER) {
+        this.root = new NgramNode();
+        this.keyOptions = keyOptionsFrom(keyOptions); // same keys as the word trie
+        this.order = order;
+        this.spellings = new Map(); // key -> first spelling seen in the corpus
+    }
+
+    keyOf(word) {
+        return normalizeKey(word, this.keyOptions);
+    }
+
+    get vocabulary() { // distinct words
+        return Object.keys(this.root.children).length;
+    }
+
+    get tokens() { // words ingested
+        return this.root.total;
+    }
+
+    /**
+     * Count every 1..order word sequence of a corpus (plain text, sentences split on punctuation).
+     * @param {string} text
+     * @returns {number} tokens read
+     */
+    ingest(text) {
+        let read = 0;
+        tokenizePhrases(text).forEach(tokens => {
+            const keys = tokens.map(token => {
+                const key = this.keyOf(token);
+                if (!this.spellings.has(key) || token === key) this.spellings.set(key, token); // "The" until "the" shows up
+                return key;
+            });
+
+            for (let i = 0; i < keys.length; i++) {
+                let node = this.root;
+                for (let j = i; j < Math.min(i + this.order, keys.length); j++) {
+                    if (!node.children[keys[j]]) node.children[keys[j]] = new NgramNode();
+                    node.total++;
+                    node = node.children[keys[j]];
+                    node.count++;
+                }
+            }
+            read += keys.length;
+        });
+        return read;
+    }
+
+    _walk(keys) { // node for a word sequence, or null if it never occurred
+        let node = this.root;
+        for (let key of keys) {
+            node = node.children[key];
+            if (!node) return null;
+        }
+        return node;
+    }
+
+    /**
+     * Likely next words after `context`, or completions of a partly typed word when `partial` is set.
+     * score = probability * (1 + weightOf(word)), so learned picks (suggestion clicks) lift a word
+     * @param {string[]} context previous words, only the last order - 1 are used
+     * @param {string} [partial=''] start of the word being typed
+     * @param {number} [k=10]
+     * @param {(word: string) => number} [weightOf] learned weight of a word
+     * @returns {{ word: string, probability: number, score: number, order: number }[]} order = n-gram the candidates came from
+     */
+    predict(context, partial = '', k = 10, weightOf = null) {
+        const keys = context.map(word => this.keyOf(word)).slice(-(this.order - 1));
+        const start = this.keyOf(partial);
+        const nodes = []; // nodes[n] = node for the last n context words (n = 0 unigram, 1 bigram, 2 trigram)
+        for (let n = 0; n <= keys.length; n++) nodes.push(this._walk(keys.slice(keys.length - n)));
+
+        // candidates: children of the longest seen context with at least one word matching `partial`
+        let candidates = [];
+        let order = 0;
+        for (let n = nodes.length - 1; n >= 0 && candidates.length === 0; n--) {
+            if (!nodes[n]) continue;
+            candidates = Object.keys(nodes[n].children).filter(key => key.startsWith(start));
+            order = n + 1;
+        }
+
+        let usedLambda = 0;
+        nodes.forEach((node, n) => {
+            if (node && node.total > 0) usedLambda += NGRAM_LAMBDAS[Math.min(n, NGRAM_LAMBDAS.length - 1)];
+        });
+
+        const results = candidates.map(key => {
+            let sum = 0;
+            nodes.forEach((node, n) => {
+                const child = node && node.children[key];
+                if (child) sum += NGRAM_LAMBDAS[Math.min(n, NGRAM_LAMBDAS.length - 1)] * child.count / node.total;
+            });
+            const word = this.spellings.get(key) || key;
+            const probability = sum / usedLambda;
+            const weight = weightOf ? weightOf(word) || 0 : 0;
+            return { word, probability, score: probability * (1 + weight), order };
+        });
+
+        return results
+            .sort((a, b) => (b.score - a.score) || a.word.localeCompare(b.word))
+            .slice(0, k);
+    }
+}
+
+// 8. CORPUS TERM COUNTS (REAL FREQUENCIES FOR Trie.insert)
+// plain text is split into the same word tokens as phrases, "word,count" / "word<TAB>count" lines
+// add their count directly, so a pasted article and an exported frequency list both work
+
+const STOP_WORDS = new Set(`a about above after again against all am an and any are as at be because been before
+being below between both but by can could did do does doing down during each few for from further had has have
+having he her here hers herself him himself his how i if in into is it its itself just me more most my myself no
+nor not now of off on once only or other our ours ourselves out over own same she should so some such than that
+the their theirs them themselves then there these they this those through to too under until up very was we were
+what when where which while who whom why will with would you your yours yourself yourselves`.split(/\s+/));
+
+const TERM_COUNT_LINE = /^\s*([^,\t\s]+)\s*[,\t]\s*(\d+)\s*$/; // "word,count"
+const TERM_COUNT_HEADER = /^\s*(word|term)\s*[,\t]\s*(count|freq|frequency)\s*$/i; // csv header, skipped
+
+/**
+ * Count the terms of a corpus, most frequent first.
+ * @param {string} text pasted text, a .txt file or a .csv of word,count lines (mixing is fine)
+ * @param {{ stopWords?: boolean, minCount?: number, keyOptions?: object }} [options]
+ *   stopWords: drop common English function words, minCount: drop terms seen fewer times,
+ *   keyOptions: terms with the same trie key are counted together
+ * @returns {{ terms: { word: string, count: number }[], tokens: number, stopped: number, rare: number }}
+ */
+function countTerms(text, options = {}) {
+    const { stopWords = true, minCount = 1, keyOptions = DEFAULT_KEY_OPTIONS } = options;
+    const counts = new Map(); // key -> { word, count }
+    let tokens = 0;
+    let stopped = 0;
+
+    const add = (token, count) => {
+        const key = normalizeKey(token, keyOptions);
+        tokens += count;
+        if (stopWords && STOP_WORDS.has(key)) {
+            stopped += count;
+            return;
+        }
+        const entry = counts.get(key) || { word: token, count: 0 };
+        if (token === key) entry.word = token; // lowercase spelling wins over "The" at a sentence start
+        entry.count += count;
+        counts.set(key, entry);
+    };
+
+    String(text).split(/\r?\n/).forEach(line => {
+        if (TERM_COUNT_HEADER.test(line)) return;
+        const counted = line.match(TERM_COUNT_LINE);
+        if (counted) {
+            add(counted[1], parseInt(counted[2], 10));
+            return;
+        }
+        tokenizePhrases(line).forEach(sentence => sentence.forEach(token => add(token, 1)));
+    });
+
+    const all = Array.from(counts.values());
+    const terms = all
+        .filter(entry => entry.count >= minCount)
+        .sort((a, b) => (b.count - a.count) || a.word.localeCompare(b.word));
+
+    return { terms, tokens, stopped, rare: all.length - terms.length };
+}
+
+// 9. WORD LIST LINKS: COMPACT TEXT ENCODING
+// sorted words, front-coded: each entry starts with one base-36 digit saying how many code points
+// it shares with the previous word, then the rest of the word, then "*count" unless the count is 1
+//
+//   encodeWordList([['cat', 1], ['cater', 2], ['caterpillar', 1]])   // '0cat 3er*2 5pillar'
+//
+// entries are separated by spaces (words never contain whitespace), so the text fits a URL query
+
+const WORD_LIST_MAX_SHARED = 35; // largest prefix length one base-36 digit can say
+const WORD_LIST_COUNT = /\*(\d+)$/;
+
+/**
+ * Encode words and their counts as compact text (for a shareable link).
+ * @param {Iterable<[string, number]>} entries [word, count] pairs, e.g. from Trie.entries() mapped to freq
+ * @returns {string}
+ */
+function encodeWordList(entries) {
+    const sorted = Array.from(entries, ([word, count]) => ({ word, count }))
+        .sort((a, b) => (a.word < b.word ? -1 : a.word > b.word ? 1 : 0)); // code unit order, locale-independent
+
+    let previous = [];
+    return sorted.map(({ word, count }) => {
+        const chars = Array.from(word); // code points, so a cut never splits a surrogate pair
+        let shared = 0;
+        const limit = Math.min(previous.length, chars.length, WORD_LIST_MAX_SHARED);
+        while (shared < limit && previous[shared] === chars[shared]) shared++;
+        previous = chars;
+
+        // a word that itself ends in "*digits" always gets its count, so decoding strips only that
+        const suffix = count !== 1 || WORD_LIST_COUNT.test(word) ? `*${count}` : '';
+        return shared.toString(36) + chars.slice(shared).join('') + suffix;
+    }).join(' ');
+}
+
+/**
+ * Decode text made by encodeWordList.
+ * @param {string} text
+ * @returns {{ word: string, freq: number }[]}
+ * @throws {TypeError} when an entry is malformed
+ */
+function decodeWordList(text) {
+    let previous = [];
+    return String(text).split(/\s+/).filter(Boolean).map((entry, i) => {
+        const shared = parseInt(entry[0], 36);
+        if (!(shared <= previous.length)) throw new TypeError(`entry ${i + 1} ("${entry}") does not follow the previous word`);
+
+        let rest = entry.slice(1);
+        let freq = 1;
+        const counted = rest.match(WORD_LIST_COUNT);
+        if (counted) {
+            freq = parseInt(counted[1], 10);
+            rest = rest.slice(0, -counted[0].length);
+        }
+
+        const chars = previous.slice(0, shared).concat(Array.from(rest));
+        if (chars.length === 0 || !(freq > 0)) throw new TypeError(`entry ${i + 1} ("${entry}") is not a word with a count`);
+        previous = chars;
+        return { word: chars.join(''), freq };
+    });
+}
+
+// 10. PUBLIC API
+
+export {
+    // keys and snapshots
+    TRIE_SNAPSHOT_FORMAT,
+    TRIE_SNAPSHOT_VERSION,
+    DEFAULT_KEY_OPTIONS,
+    KEY_FORMS,
+    keyOptionsFrom,
+    normalizeKey,
+    splitGraphemes,
+
+    // structures
+    TrieNode,
+    Trie,
+    RadixTrie,
+    Dawg,
+    SuffixTrie,
+    structureStats,
+    getWordFromNode,
+    NgramModel,
+    tokenizePhrases,
+    STOP_WORDS,
+    countTerms,
+    encodeWordList,
+    decodeWordList,
+
+    // matching and highlighting
+    alignFuzzyMatch,
+    PATTERN_WILDCARDS,
+    isPatternQuery,
+    toPatternQuery,
+    wildcardMatch,
+    patternSearch,
+    alignPatternMatch,
+
+    // traces for playback
+    TRIE_PSEUDOCODE,
+    traceInsert,
+    traceSearch,
+    traceAutocomplete
+};
+
+// End of trie-engine.js
+
+/* ============================================================
+   END OF TRIE ENGINE
+   ============================================================ */
@@ -0,0 +1,407 @@
+/* ============================================================
+   TRIE WORKER: HOSTS THE TRIE ENGINE OFF THE MAIN THREAD
+   ============================================================ */
+
+// Message API (every request carries an `id`, every reply echoes it):
+//   { type: 'load', text?, words?, generate?, replace?, keys? } -> { words, nodes, ms }  (sends progress while loading)
+//     words are strings or { word, freq?, weight? }; replace: false inserts into the current engine
+//   { type: 'rekey', keys }                              -> { words, nodes }  (rebuild with new key options)
+//   { type: 'insert', word, freq? }                      -> { inserted: true }
+//   { type: 'delete', word }                             -> { deleted: boolean }
+//   { type: 'boost', word, amount? }                     -> { boosted: boolean }
+//   { type: 'query', prefix, k?, maxEdits?, pattern? }   -> { matches, strategy? } or { cancelled: true }
+//   { type: 'subtree', prefix, limit?, words? }          -> trie snapshot (JSON) of the top words under prefix (or of `words`)
+//   { type: 'stats' }                                    -> { words, nodes, edges, loadMs }
+//   { type: 'benchmark', size, queries, prefixLength }   -> { results: [{ name, buildMs, medianMs, p95Ms, bytes, ... }] }
+// replies look like { id, ok: true, result } or { id, ok: false, error }, progress like { id, progress }
+
+import { Trie, TrieNode, SuffixTrie, structureStats, patternSearch } from './trie-engine.js'; // started as a module worker
+
+// 1. ENGINE STATE
+
+let engine = new Trie();
+let lastLoadMs = 0;
+
+const LOAD_CHUNK_SIZE = 5000; // words inserted between yields, keeps queries responsive during a load
+
+let loadGeneration = 0; // bumped by every load so an older chunked load stops early
+
+const SUFFIX_INDEX_MAX_WORDS = 20000; // suffix tries grow with length², bigger lists walk the trie instead
+let suffixIndex = null; // built on the first suffix / substring query, dropped on every edit
+
+let pendingQuery = null; // only the newest query runs, older ones are answered as cancelled
+let queryScheduled = false;
+
+function reply(id, result) {
+    self.postMessage({ id, ok: true, result });
+}
+
+function fail(id, err) {
+    self.postMessage({ id, ok: false, error: err && err.message ? err.message : String(err) });
+}
+
+// 2. WORD LIST PARSING AND GENERATION
+
+// one word per line, optionally "word,count" or "word<TAB>count"
+function parseWordList(text) {
+    const entries = [];
+    String(text).split(/\r?\n/).forEach(line => {
+        const [rawWord, rawCount] = line.split(/[,\t]/);
+        const word = (rawWord || '').trim();
+        if (!word || /\s/.test(word)) return;
+        const count = parseInt(rawCount, 10);
+        entries.push({ word, freq: Number.isFinite(count) && count > 0 ? count : 1 });
+    });
+    return entries;
+}
+
+// pronounceable pseudo-words with a Zipf-like frequency curve, for load testing without a file
+function generateWords(count) {
+    const onsets = ['b', 'c', 'd', 'f', 'g', 'h', 'j', 'k', 'l', 'm', 'n', 'p', 'qu', 'r', 's', 't', 'v', 'w', 'z', 'br', 'ch', 'cr', 'dr', 'fl', 'gr', 'pl', 'sh', 'st', 'th', 'tr'];
+    const vowels = ['a', 'e', 'i', 'o', 'u', 'ai', 'ea', 'io', 'ou'];
+    const codas = ['', '', 'n', 'r', 's', 't', 'l', 'm', 'ng', 'x'];
+    const seen = new Set();
+    const entries = [];
+    let seed = 42;
+    const random = () => { // small deterministic LCG so every run builds the same dictionary
+        seed = (Math.imul(seed, 1103515245) + 12345) >>> 0; // 32-bit math keeps the sequence exact
+        return seed / 4294967296;
+    };
+    const pick = (list) => list[Math.floor(random() * list.length)];
+
+    while (entries.length < count) {
+        const syllables = 1 + Math.floor(random() * 4);
+        let word = '';
+        for (let i = 0; i < syllables; i++) word += pick(onsets) + pick(vowels) + pick(codas);
+        if (seen.has(word)) continue;
+        seen.add(word);
+        entries.push({ word, freq: Math.max(1, Math.round(10000 / (entries.length + 1))) });
+    }
+    return entries;
+}
+
+// 3. BENCHMARK: TRIE VS LINEAR SCAN VS BINARY SEARCH
+// runs on its own generated words (never the loaded dictionary); every strategy answers the same
+// prefix queries and must return the same number of matches
+
+const BENCHMARK_MAX_WORDS = 250000; // bigger tries start to strain memory in a tab
+const BENCHMARK_REPEATS = 5; // each query runs this often, timers in browsers are coarse
+
+// rough V8 sizes in bytes (64-bit, pointer compression): enough to compare orders of magnitude
+const EST_OBJECT_BYTES = 12; // header of a plain object
+const EST_FIELD_BYTES = 4; // one compressed tagged field
+const EST_DICT_ENTRY_BYTES = 24; // children {} in dictionary mode: key + value + details
+const EST_STRING_HEADER_BYTES = 16;
+
+function estimateStringBytes(text) { // one-byte strings, rounded up to the 8-byte allocation unit
+    return Math.ceil((EST_STRING_HEADER_BYTES + text.length) / 8) * 8;
+}
+
+function estimateTrieBytes(trie) {
+    const nodeFields = Object.keys(new TrieNode()).length;
+    let bytes = 0;
+    const stack = [trie.root];
+    while (stack.length) {
+        const node = stack.pop();
+        bytes += EST_OBJECT_BYTES + nodeFields * EST_FIELD_BYTES; // TrieNode
+        bytes += EST_OBJECT_BYTES + Object.keys(node.children).length * EST_DICT_ENTRY_BYTES; // children
+        if (node.isEnd && node.path) bytes += estimateStringBytes(node.path); // word kept for display
+        for (let char in node.children) stack.push(node.children[char]);
+    }
+    return bytes;
+}
+
+function estimateArrayBytes(words) {
+    return words.reduce((sum, word) => sum + estimateStringBytes(word), EST_OBJECT_BYTES + words.length * EST_FIELD_BYTES);
+}
+
+function lowerBound(sorted, prefix) { // first index whose word is >= prefix
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (sorted[mid] < prefix) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+function percentile(sortedValues, p) {
+    if (!sortedValues.length) return 0;
+    const index = Math.min(sortedValues.length - 1, Math.ceil(p * sortedValues.length) - 1);
+    return sortedValues[Math.max(0, index)];
+}
+
+// prefixes cut from random dictionary words so most queries have matches
+function benchmarkPrefixes(words, count, prefixLength) {
+    const prefixes = [];
+    let seed = 7;
+    const random = () => {
+        seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+        return seed / 4294967296;
+    };
+    for (let i = 0; i < count; i++) {
+        const word = words[Math.floor(random() * words.length)];
+        const length = prefixLength > 0 ? prefixLength : 1 + Math.floor(random() * 4); // 0 = mixed 1-4
+        prefixes.push(word.slice(0, Math.min(length, word.length)));
+    }
+    return prefixes;
+}
+
+function runBenchmark(id, data) {
+    const size = Math.min(Math.max(parseInt(data.size, 10) || 0, 1000), BENCHMARK_MAX_WORDS);
+    const queryCount = Math.min(Math.max(parseInt(data.queries, 10) || 0, 10), 5000);
+    const prefixLength = Math.min(Math.max(parseInt(data.prefixLength, 10) || 0, 0), 8);
+    const progress = (phase, done, total) => self.postMessage({ id, progress: { phase, loaded: done, total } });
+
+    progress('Generating words', 0, 1);
+    const words = generateWords(size).map(entry => entry.word);
+    const prefixes = benchmarkPrefixes(words, queryCount, prefixLength);
+
+    const strategies = [
+        {
+            name: 'Trie.autocomplete',
+            build: () => {
+                const trie = new Trie();
+                words.forEach(word => trie.insert(word));
+                return trie;
+            },
+            query: (trie, prefix) => trie.autocomplete(prefix).length,
+            bytes: estimateTrieBytes
+        },
+        {
+            name: 'Trie.topK (10)',
+            build: null, // reuses the trie built above, ranked top 10 only
+            query: (trie, prefix) => trie.topK(prefix, 10).length,
+            bytes: null
+        },
+        {
+            name: 'Linear filter(startsWith)',
+            build: () => words.slice(),
+            query: (list, prefix) => list.filter(word => word.startsWith(prefix)).length,
+            bytes: estimateArrayBytes
+        },
+        {
+            name: 'Binary search (sorted array)',
+            build: () => words.slice().sort(),
+            query: (sorted, prefix) => {
+                let count = 0;
+                for (let i = lowerBound(sorted, prefix); i < sorted.length && sorted[i].startsWith(prefix); i++) count++;
+                return count;
+            },
+            bytes: estimateArrayBytes
+        }
+    ];
+
+    let shared = null; // structure the topK row reuses
+    let expected = null; // match counts of the first full strategy
+    const results = strategies.map((strategy, index) => {
+        progress(`Building: ${strategy.name}`, index, strategies.length);
+
+        let structure = shared;
+        let buildMs = 0;
+        if (strategy.build) {
+            const started = performance.now();
+            structure = strategy.build();
+            buildMs = performance.now() - started;
+            shared = structure;
+        }
+
+        progress(`Querying: ${strategy.name}`, index, strategies.length);
+        const latencies = [];
+        const counts = [];
+        prefixes.forEach(prefix => {
+            const started = performance.now();
+            let count = 0;
+            for (let r = 0; r < BENCHMARK_REPEATS; r++) count = strategy.query(structure, prefix);
+            latencies.push((performance.now() - started) / BENCHMARK_REPEATS);
+            counts.push(count);
+        });
+        latencies.sort((a, b) => a - b);
+
+        // topK is capped at 10 results, the other strategies must agree exactly
+        let consistent = true;
+        if (strategy.build) {
+            if (!expected) expected = counts;
+            else consistent = counts.every((count, i) => count === expected[i]);
+        }
+
+        return {
+            name: strategy.name,
+            buildMs: strategy.build ? buildMs : null,
+            medianMs: percentile(latencies, 0.5),
+            p95Ms: percentile(latencies, 0.95),
+            bytes: strategy.bytes ? strategy.bytes(structure) : null,
+            matches: counts.reduce((sum, count) => sum + count, 0),
+            consistent
+        };
+    });
+
+    reply(id, { size, queries: queryCount, prefixLength, repeats: BENCHMARK_REPEATS, results });
+}
+
+// 4. REQUEST HANDLERS
+
+function runLoad(id, data) {
+    const entries = data.generate
+        ? generateWords(Math.min(Math.max(parseInt(data.generate, 10) || 0, 0), 1000000))
+        : data.text != null
+            ? parseWordList(data.text)
+            : (data.words || []).map(w => (typeof w === 'string' ? { word: w, freq: 1 } : w));
+
+    if (data.replace !== false) {
+        engine = new Trie(data.keys || engine.keyOptions); // keep the current key options unless given
+    }
+    suffixIndex = null;
+
+    const generation = ++loadGeneration;
+    const started = performance.now();
+    let index = 0;
+
+    // insert a chunk, report progress, then yield so queued queries get a turn. Later chunks run
+    // from setTimeout, outside the message loop's try/catch, so a bad entry is reported here
+    const step = () => {
+        if (generation !== loadGeneration) { // a newer load replaced this one
+            reply(id, { cancelled: true });
+            return;
+        }
+
+        try {
+            const end = Math.min(index + LOAD_CHUNK_SIZE, entries.length);
+            for (; index < end; index++) {
+                const { word, freq, weight } = entries[index];
+                engine.insert(word, freq || 1);
+                if (weight > 0) engine.boost(word, weight);
+            }
+
+            if (index < entries.length) {
+                self.postMessage({ id, progress: { loaded: index, total: entries.length } });
+                setTimeout(step, 0);
+                return;
+            }
+
+            lastLoadMs = performance.now() - started;
+            reply(id, { words: engine.size, nodes: structureStats(engine.root).nodes, ms: Math.round(lastLoadMs) });
+        } catch (err) {
+            fail(id, err);
+        }
+    };
+
+    step();
+}
+
+function runQuery() {
+    queryScheduled = false;
+    const request = pendingQuery;
+    pendingQuery = null;
+    if (!request) return;
+
+    const { id, prefix = '', k = 10, maxEdits = 0, pattern = null } = request;
+    if (!prefix) {
+        reply(id, { matches: [] });
+        return;
+    }
+
+    // runs from setTimeout, outside the message loop's try/catch (same as the load chunks)
+    try {
+        if (pattern) { // wildcard / suffix / substring query
+            if (!suffixIndex && engine.size <= SUFFIX_INDEX_MAX_WORDS) suffixIndex = SuffixTrie.fromTrie(engine);
+            const { matches, strategy } = patternSearch(engine, pattern, suffixIndex);
+            reply(id, { matches: matches.slice(0, k), total: matches.length, strategy });
+            return;
+        }
+
+        const matches = maxEdits > 0
+            ? engine.fuzzyAutocomplete(prefix, Math.min(maxEdits, 2)).results.slice(0, k).map(x => x.word)
+            : engine.topK(prefix, k);
+        reply(id, { matches });
+    } catch (err) {
+        fail(id, err);
+    }
+}
+
+// a small trie of the best `limit` words under prefix (or of the given words), small enough to draw on the page
+function buildSubtree(prefix, limit = 60, words = null) {
+    const view = new Trie(engine.keyOptions);
+    (words ? words.slice(0, limit) : engine.topK(prefix, limit)).forEach(word => {
+        const node = engine.getNode(word);
+        if (!node || !node.isEnd) return;
+        view.insert(word, node.freq);
+        if (node.weight) view.boost(word, node.weight);
+    });
+    return view.toJSON();
+}
+
+const handlers = {
+    load: runLoad,
+    insert(id, data) {
+        engine.insert(data.word, data.freq || 1);
+        suffixIndex = null;
+        reply(id, { inserted: true });
+    },
+    delete(id, data) {
+        const deleted = engine.delete(data.word);
+        if (deleted) suffixIndex = null;
+        reply(id, { deleted });
+    },
+    rekey(id, data) { // words whose keys now coincide are merged, their counts added up
+        const next = new Trie(data.keys);
+        for (const [word, { freq, weight }] of engine.entries()) {
+            next.insert(word, freq);
+            if (weight) next.boost(word, weight);
+        }
+        engine = next;
+        suffixIndex = null;
+        reply(id, { words: engine.size, nodes: structureStats(engine.root).nodes });
+    },
+    boost(id, data) {
+        reply(id, { boosted: engine.boost(data.word, data.amount == null ? 1 : data.amount) });
+    },
+    query(id, data) {
+        if (pendingQuery) reply(pendingQuery.id, { cancelled: true }); // superseded by a newer keystroke
+        pendingQuery = { id, ...data };
+        if (!queryScheduled) { // run after any other queued messages (cancels included)
+            queryScheduled = true;
+            setTimeout(runQuery, 0);
+        }
+    },
+    cancel(id, data) {
+        if (pendingQuery && pendingQuery.id === data.target) {
+            reply(pendingQuery.id, { cancelled: true });
+            pendingQuery = null;
+        }
+        reply(id, { cancelled: true });
+    },
+    subtree(id, data) {
+        reply(id, buildSubtree(data.prefix || '', data.limit, Array.isArray(data.words) ? data.words : null));
+    },
+    benchmark: runBenchmark,
+    stats(id) {
+        const { nodes, edges } = structureStats(engine.root);
+        reply(id, { words: engine.size, nodes, edges, loadMs: Math.round(lastLoadMs) });
+    }
+};
+
+// 5. MESSAGE LOOP
+
+self.addEventListener('message', (e) => {
+    const data = e.data || {};
+    const handler = handlers[data.type];
+    if (!handler) {
+        fail(data.id, new Error(`Unknown request type "${data.type}"`));
+        return;
+    }
+
+    try {
+        handler(data.id, data);
+    } catch (err) {
+        fail(data.id, err);
+    }
+});
+
+
+// End of trie-worker.js
+
+/* ============================================================
+   END OF TRIE WORKER
+   ============================================================ */